@@ -2,46 +2,7 @@
 
 
 import { addCheck } from '@axel669/aegis';
-import { validate } from '../lib/handlers.js';
-
-
-/******************************************************************************/
-
-
-/* A mapping of all of the common status errors that might be returned by the
- * validator. */
-const STATUS_TEXT = {
-  400: 'Bad Request',
-  401: 'Unauthorized',
-  402: 'Payment Required',
-  403: 'Forbidden',
-  404: 'Not Found',
-  405: 'Method Not Allowed',
-  406: 'Not Acceptable',
-  407: 'Proxy Authentication Required',
-  408: 'Request Timeout',
-  409: 'Conflict',
-  410: 'Gone',
-  411: 'Length Required',
-  412: 'Precondition Failed',
-  413: 'Payload Too Large',
-  414: 'URI Too Long',
-  415: 'Unsupported Media Type',
-  416: 'Range Not Satisfiable',
-  417: 'Expectation Failed',
-  418: "I'm a teapot",
-  421: 'Misdirected Request',
-  422: 'Unprocessable Entity',
-  423: 'Locked',
-  424: 'Failed Dependency',
-  425: 'Too Early',
-  426: 'Upgrade Required',
-  428: 'Precondition Required',
-  429: 'Too Many Requests',
-  431: 'Request Header Fields Too Large',
-  451: 'Unavailable For Legal Reasons',
-  500: 'Internal Server Error',
-};
+import { validate, body, json, STATUS_TEXT } from '../lib/handlers.js';
 
 
 /******************************************************************************/
@@ -82,8 +43,15 @@ export function initializeRequestChecks() {
  * and masked input data if the schema validated the data, or a Response object
  * that carries the failure of the validation. This would be a response of code
  * 400 with a JSON body that carries the actual validation failure message
- * within it. */
-export async function schemaTest(dataType, schema, data, validator) {
+ * within it.
+ *
+ * For the "result" data type, the data is used as the body of a json() response
+ * from a handler wrapped in body(), and a failure is the response that body()
+ * generates for the SchemaError that the validation raises.
+ *
+ * Any options provided are passed to the validator along with the schema, such
+ * as the coerce option of validate(). */
+export async function schemaTest(dataType, schema, data, validator, validatorOptions) {
   // If a validator is provided, use it; otherwise use ours. This requires that
   // you provide a call-compatible validator. This is here primarily to support
   // some migrations of old code that is using a different validator than the
@@ -91,7 +59,7 @@ export async function schemaTest(dataType, schema, data, validator) {
   validator = validator ??= validate;
 
   // Use the Hono factory to create our middleware, just as a caller would.
-  const middleware = validator(dataType, schema);
+  const middleware = validator(dataType, schema, validatorOptions);
 
   // A successful test captures the validated and masked JSON output, while a
   // failed test generates a failure JSON response and has a specific status
@@ -100,6 +68,10 @@ export async function schemaTest(dataType, schema, data, validator) {
   let errorResponse = null;
   let responseStatus = 200;
 
+  // Values that are stored into the context by middleware, such as the result
+  // validator.
+  const store = new Map();
+
   // In order to handle formdata, cookie, and header validation we need a
   // request object to put into the context. These portions are parsed out of
   // the response by the validator and thus can't be backfilled. This also
@@ -129,6 +101,10 @@ export async function schemaTest(dataType, schema, data, validator) {
   // mapped request URI paramters, as well as a raw Request object for things
   // that Hono does not tend to parse, such as form data and headers.
   const ctx = {
+    env: {},
+    get: key => store.get(key),
+    set: (key, value) => store.set(key, value),
+
     req: {
       // The raw request; used by form data, headers, and cookies.
       raw: rawRequest,
@@ -180,21 +156,31 @@ export async function schemaTest(dataType, schema, data, validator) {
     // response. Here we just create an actual response object, since that is
     // what the middleware would return.
     status: status => responseStatus = status,
-    json: payload => {
+    json: (payload, status, headers) => {
+      // A successful response from json() is the validated result.
+      if ((status ?? responseStatus) < 400) {
+        validData = payload;
+        return;
+      }
+
       errorResponse = new Response(
         JSON.stringify(payload), {
-          status: responseStatus,
-          statusText: STATUS_TEXT[responseStatus] ?? 'Unknown Error',
-          headers: { "Content-Type": "application/json" }
+          status: status ?? responseStatus,
+          statusText: STATUS_TEXT[status ?? responseStatus] ?? 'Unknown Error',
+          headers: { "Content-Type": "application/json", ...headers }
         }
       );
     },
   };
 
-  // Execute the middleware with an empty next().
   // Run the middleware; we either capture a result in the error payload or the
-  // validation result.
-  await middleware(ctx, () => {});
+  // validation result. For a result validator, next() is the handler that
+  // responds with the data so that it gets validated.
+  const next = (dataType !== 'result') ? () => {} : async () => {
+    await body(async ctx => json(ctx, data))(ctx);
+  };
+
+  await middleware(ctx, next);
 
   // Return the error payload if validation failed, otherwise return the
   // validated data from the success path.
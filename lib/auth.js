@@ -0,0 +1,256 @@
+/******************************************************************************/
+
+
+import { fail, wwwAuthenticate, UnauthorizedError, HttpError } from './handlers.js';
+
+
+/******************************************************************************/
+
+
+/* The WebCrypto parameters for each of the supported JWT signing algorithms;
+ * import is used to import a key and verify to check a signature with it. */
+const ALGORITHMS = {
+  HS256: {
+    kty: 'oct',
+    import: { name: 'HMAC', hash: 'SHA-256' },
+    verify: { name: 'HMAC' },
+  },
+  RS256: {
+    kty: 'RSA',
+    import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verify: { name: 'RSASSA-PKCS1-v1_5' },
+  },
+  ES256: {
+    kty: 'EC',
+    import: { name: 'ECDSA', namedCurve: 'P-256' },
+    verify: { name: 'ECDSA', hash: 'SHA-256' },
+  },
+};
+
+
+/******************************************************************************/
+
+
+/* Decode a base64url string into a byte array. */
+const decodeBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+
+/* Decode a base64url string that contains JSON into the value it represents. */
+const decodeJSON = (text) => JSON.parse(new TextDecoder().decode(decodeBase64Url(text)));
+
+
+/* Determine if the value is a plain JSON object, as the header and the claims
+ * of a JWT need to be. */
+const isJSONObject = (value) => typeof value === 'object' && value !== null && Array.isArray(value) === false;
+
+
+/* Given a value that describes a set of keys, return back the list of JSON Web
+ * Keys that it contains; this can be a JWKS, a JSON string holding one, a
+ * single key, or a list of keys. */
+const keyList = (keys) => {
+  if (typeof keys === 'string') {
+    keys = JSON.parse(keys);
+  }
+
+  // Arrays have a keys() method, so they can't be mistaken for a JWKS.
+  return (Array.isArray(keys) === true) ? keys : [keys?.keys ?? keys ?? []].flat();
+}
+
+
+/* Find and import the key that a JWT with the given header was signed with,
+ * from either the shared secret (for HS256) or the list of JSON Web Keys. */
+const importKey = async (header, { secret, jwks }) => {
+  const algorithm = ALGORITHMS[header.alg];
+
+  if (header.alg === 'HS256' && secret !== undefined) {
+    const bytes = (typeof secret === 'string') ? new TextEncoder().encode(secret) : secret;
+    return crypto.subtle.importKey('raw', bytes, algorithm.import, false, ['verify']);
+  }
+
+  const jwk = keyList(jwks).find(key => key.kty === algorithm.kty &&
+                                        (key.alg === undefined || key.alg === header.alg) &&
+                                        (header.kid === undefined || key.kid === header.kid));
+  if (jwk === undefined) {
+    throw new UnauthorizedError('no key is available to verify the token');
+  }
+
+  return crypto.subtle.importKey('jwk', jwk, algorithm.import, false, ['verify']);
+}
+
+
+/* Given the claims of a JWT, return back the list of scopes that it grants;
+ * these come from the space separated scope claim, or the scp claim. */
+const tokenScopes = (claims) => {
+  if (typeof claims.scope === 'string') {
+    return claims.scope.split(' ').filter(scope => scope !== '');
+  }
+
+  return [claims.scp ?? []].flat();
+}
+
+
+/******************************************************************************/
+
+
+/* Verify the given JWT, returning back its claims if it is valid and throwing
+ * an UnauthorizedError that says why if it is not.
+ *
+ * The token is verified using the secret (for HS256) or the matching key from
+ * jwks, which can be a JWKS, a JSON string holding one, or a list of keys; only
+ * the listed algorithms are accepted. The exp and nbf claims are checked
+ * (allowing clockTolerance seconds of clock skew), as are the aud and iss
+ * claims when audience and issuer are given; these can be lists of the values
+ * that are accepted. */
+export async function verifyJWT(token, { secret, jwks, algorithms=['HS256', 'RS256', 'ES256'], audience, issuer, clockTolerance=0 } = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new UnauthorizedError('the token is malformed');
+  }
+
+  let header, claims, signature;
+  try {
+    header = decodeJSON(parts[0]);
+    claims = decodeJSON(parts[1]);
+    signature = decodeBase64Url(parts[2]);
+    if (isJSONObject(header) === false || isJSONObject(claims) === false) {
+      throw new UnauthorizedError('the token is malformed');
+    }
+  }
+  catch {
+    throw new UnauthorizedError('the token is malformed');
+  }
+
+  if (algorithms.includes(header.alg) === false || ALGORITHMS[header.alg] === undefined) {
+    throw new UnauthorizedError(`the token algorithm '${header.alg}' is not accepted`);
+  }
+
+  // A key that can't be imported (such as an empty secret or a JWK that is not
+  // valid) is a failure to verify the token, not an error in the server.
+  let verified;
+  try {
+    const key = await importKey(header, { secret, jwks });
+    const data = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+    verified = await crypto.subtle.verify(ALGORITHMS[header.alg].verify, key, signature, data);
+  }
+  catch (err) {
+    if (err instanceof UnauthorizedError) {
+      throw err;
+    }
+    throw new UnauthorizedError('the token could not be verified');
+  }
+
+  if (verified === false) {
+    throw new UnauthorizedError('the token signature is invalid');
+  }
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp === 'number' && now > claims.exp + clockTolerance) {
+    throw new UnauthorizedError('the token has expired');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - clockTolerance) {
+    throw new UnauthorizedError('the token is not yet valid');
+  }
+
+  if (audience !== undefined && [claims.aud ?? []].flat().some(aud => [audience].flat().includes(aud)) === false) {
+    throw new UnauthorizedError('the token audience is not accepted');
+  }
+  if (issuer !== undefined && [issuer].flat().includes(claims.iss) === false) {
+    throw new UnauthorizedError('the token issuer is not accepted');
+  }
+
+  return claims;
+}
+
+
+/******************************************************************************/
+
+
+/* Send a failure for a request that is not authorized, with a WWW-Authenticate
+ * header that describes the problem as per RFC 6750. */
+const authFailure = (ctx, failure, status, message, params) => {
+  return failure(ctx, message, status, undefined, {
+    code: status === 403 ? 'FORBIDDEN' : 'UNAUTHORIZED',
+    headers: wwwAuthenticate('Bearer', params),
+  });
+}
+
+
+/* Create a middleware that requires the principal of the request (as set by
+ * authenticate()) to have all of the given scopes, sending a 403 failure via
+ * fail() if it does not. */
+export const requireScopes = (scopes, { realm, responder } = {}) => {
+  const failure = responder?.fail ?? fail;
+  scopes = [scopes].flat();
+
+  return async (ctx, next) => {
+    const granted = ctx.get('principal')?.scopes ?? [];
+    const missing = scopes.filter(scope => granted.includes(scope) === false);
+    if (missing.length !== 0) {
+      return authFailure(ctx, failure, 403, `missing required scopes: ${missing.join(', ')}`, {
+        realm, error: 'insufficient_scope', scope: scopes.join(' ')
+      });
+    }
+
+    return next();
+  }
+}
+
+
+/* Create a middleware that requires requests to carry a bearer token in their
+ * Authorization header, sending a 401 failure via fail() if there is none or it
+ * is not valid.
+ *
+ * Tokens that look like JWTs are verified with verifyJWT(), using the options
+ * given here; secret and jwks can also be functions that are given the context
+ * and return the value, for keys that come from bindings. Any other token is an
+ * opaque API key, which is given to the apiKey callback along with the context;
+ * this returns the principal for the key, or undefined if it is not valid.
+ *
+ * The principal is made available via ctx.get('principal'); for a JWT, this has
+ * the subject, scopes and claims of the token. When scopes are given, the
+ * principal must have all of them (see requireScopes()). */
+export const authenticate = ({ secret, jwks, apiKey, scopes=[], realm, responder, ...options } = {}) => {
+  const failure = responder?.fail ?? fail;
+  const resolve = (value, ctx) => (typeof value === 'function') ? value(ctx) : value;
+  const checkScopes = requireScopes(scopes, { realm, responder });
+
+  return async (ctx, next) => {
+    const [scheme, token] = (ctx.req.header('Authorization') ?? '').split(/\s+/);
+    if (/^bearer$/i.test(scheme ?? '') === false || token === undefined || token === '') {
+      return authFailure(ctx, failure, 401, 'authentication is required', { realm });
+    }
+
+    let principal;
+    try {
+      if (token.split('.').length === 3) {
+        const claims = await verifyJWT(token, {
+          ...options,
+          secret: await resolve(secret, ctx),
+          jwks: await resolve(jwks, ctx),
+        });
+        principal = { subject: claims.sub, scopes: tokenScopes(claims), claims };
+      } else {
+        principal = await apiKey?.(token, ctx);
+        if (principal === undefined || principal === null) {
+          throw new UnauthorizedError('the API key is not valid');
+        }
+      }
+    }
+    catch (err) {
+      if (err instanceof HttpError === false) {
+        throw err;
+      }
+
+      return authFailure(ctx, failure, 401, err.message, { realm, error: 'invalid_token', error_description: err.message });
+    }
+
+    ctx.set('principal', principal);
+    return checkScopes(ctx, next);
+  }
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,219 @@
+/******************************************************************************/
+
+
+/* The header that is added to responses when they are stored in the cache, to
+ * record when that happened; this is used to tell fresh entries from stale
+ * ones, and is removed before a cached response is sent. */
+const STORED_HEADER = 'X-Cf-Requests-Stored';
+
+/* The prefix of the query parameters that are added to the URL of a request to
+ * build its cache key, one for each of the request headers that the cached
+ * response varies by. */
+const VARY_PREFIX = '__cf_requests_vary_';
+
+/* The header that marks a request made by edgeCache() to refresh a stale entry;
+ * its value is a token that is private to the middleware, so that clients can't
+ * use it to bypass the cache. */
+const REFRESH_HEADER = 'X-Cf-Requests-Refresh';
+
+
+/******************************************************************************/
+
+
+/* Given a cache option, return back the cache that it represents; this can be a
+ * Cache object, the name of a cache to open, or undefined for the default cache
+ * of the Workers Cache API. */
+const resolveCache = async (cache) => {
+  if (typeof cache === 'string') {
+    return caches.open(cache);
+  }
+
+  return cache ?? caches.default;
+}
+
+
+/* Run the given function in the background via the execution context of the
+ * request if there is one, returning back true if that was possible and false
+ * if there is no execution context to run it in.
+ *
+ * Errors in the task are discarded; a cache that could not be updated only means
+ * that a later request runs the route. */
+const runInBackground = (ctx, task) => {
+  let executionCtx;
+  try {
+    executionCtx = ctx.executionCtx;
+  }
+  catch {
+    return false;
+  }
+
+  executionCtx.waitUntil(task().catch(() => {}));
+  return true;
+}
+
+
+/******************************************************************************/
+
+
+/* This internal helper returns back the SHA-256 digest of the given text, as a
+ * hex string. */
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+
+/* Given a request (or its URL) along with the list of request headers that the
+ * response varies by, return back the key that the response is cached under.
+ *
+ * The key is the URL of the request with the fragment removed and the query
+ * parameters sorted, so that requests that differ only in the order of their
+ * parameters share an entry, along with a hash of the value of each of the
+ * headers; the values are hashed so that credentials such as Authorization
+ * never appear in the keys of the cache. */
+export async function cacheKey(request, vary=['Accept'], headers) {
+  request = (typeof request === 'string' || request instanceof URL) ? new Request(request, { headers }) : request;
+
+  const url = new URL(request.url);
+  url.hash = '';
+  url.searchParams.sort();
+
+  for (const name of vary) {
+    const value = request.headers.get(name);
+    url.searchParams.append(`${VARY_PREFIX}${name.toLowerCase()}`, (value !== null) ? await sha256(value) : '');
+  }
+
+  return url.toString();
+}
+
+
+/******************************************************************************/
+
+
+/* Remove the cached response for the given URL (or request) from the cache,
+ * returning back true if there was one to remove.
+ *
+ * Since the cache key includes the values of the headers that the response
+ * varies by, the headers option gives the values of those headers for the
+ * entry to remove; it can be an array of such objects to remove several
+ * variations of the same URL at once. */
+export async function purgeCache(url, { cache, vary=['Accept'], headers={} } = {}) {
+  cache = await resolveCache(cache);
+
+  let purged = false;
+  for (const variant of [headers].flat()) {
+    purged = (await cache.delete(await cacheKey(url, vary, variant))) || purged;
+  }
+
+  return purged;
+}
+
+
+/******************************************************************************/
+
+
+/* Create a middleware that caches the responses of the GET routes that it is
+ * applied to in the Workers Cache API, and serves them from the cache while
+ * they are fresh.
+ *
+ * Only 200 responses are cached, and never the responses of fail(), no matter
+ * their status, or responses whose Cache-Control forbids it. Entries are fresh
+ * for ttl seconds; for staleWhileRevalidate seconds after that, the stale entry
+ * is served while a new request for it is made in the background to refresh it.
+ * That request is made by the refresh function, which is given the request and
+ * the context, and returns the response (usually via app.fetch()); without it,
+ * stale entries are not served.
+ *
+ * The cache can be a Cache object (for testing), the name of a cache to open,
+ * or undefined to use caches.default. Responses carry a private Cache-Control
+ * header that matches the options, unless the cacheControl option gives a
+ * different one (such as a public one, for responses that are the same for all
+ * clients), or is false to not send one at all. */
+export const edgeCache = ({ ttl=60, staleWhileRevalidate=0, vary=['Accept'], cache, cacheControl, refresh } = {}) => {
+  cacheControl ??= `private, max-age=${ttl}` + (staleWhileRevalidate > 0 ? `, stale-while-revalidate=${staleWhileRevalidate}` : '');
+
+  // Random values can only be generated while handling a request, so the token
+  // that marks refresh requests is created on first use.
+  let refreshToken;
+
+  // Store the response currently in the context in the cache, if it is a
+  // success; this works on a copy, so the original response is untouched.
+  const store = async (ctx, target, key) => {
+    const response = ctx.res;
+    const forbidden = /no-store|private/i.test(response.headers.get('Cache-Control') ?? '');
+    if (response.status !== 200 || ctx.get('__cf_requests_failed') === true || forbidden === true) {
+      return undefined;
+    }
+
+    const copy = new Response(response.clone().body, response);
+    copy.headers.set(STORED_HEADER, String(Date.now()));
+    copy.headers.set('Cache-Control', `max-age=${ttl + staleWhileRevalidate}`);
+    copy.headers.delete('Age');
+    copy.headers.delete('Set-Cookie');
+
+    if (runInBackground(ctx, () => target.put(key, copy)) === false) {
+      await target.put(key, copy);
+    }
+  }
+
+  // Run the rest of the handler chain and store the result, sending it back
+  // with the Cache-Control header.
+  const update = async (ctx, next, target, key) => {
+    await next();
+    await store(ctx, target, key);
+
+    if (cacheControl !== false && ctx.res.status === 200 && ctx.get('__cf_requests_failed') !== true) {
+      ctx.res.headers.set('Cache-Control', ctx.res.headers.get('Cache-Control') ?? cacheControl);
+    }
+  }
+
+  return async (ctx, next) => {
+    if (ctx.req.method !== 'GET') {
+      return next();
+    }
+
+    refreshToken ??= crypto.randomUUID();
+    const target = await resolveCache(cache);
+    const key = await cacheKey(ctx.req.raw, vary);
+
+    // A request to refresh a stale entry always runs the route.
+    if (ctx.req.header(REFRESH_HEADER) === refreshToken) {
+      return update(ctx, next, target, key);
+    }
+
+    const cached = await target.match(key);
+    const age = (Date.now() - Number(cached?.headers.get(STORED_HEADER))) / 1000;
+    if (cached === undefined || isNaN(age) || age >= ttl + staleWhileRevalidate) {
+      return update(ctx, next, target, key);
+    }
+
+    // Refreshing a stale entry in the background requires a refresh function
+    // and an execution context; without them the route runs right away
+    // instead, as if nothing was cached.
+    if (age >= ttl) {
+      const background = (typeof refresh === 'function') && runInBackground(ctx, async () => {
+        const request = new Request(ctx.req.raw);
+        request.headers.set(REFRESH_HEADER, refreshToken);
+
+        const response = await refresh(request, ctx);
+        await response?.body?.cancel();
+      });
+
+      if (background === false) {
+        return update(ctx, next, target, key);
+      }
+    }
+
+    const response = new Response(cached.body, cached);
+    response.headers.delete(STORED_HEADER);
+    response.headers.set('Age', String(Math.floor(age)));
+    if (cacheControl !== false) {
+      response.headers.set('Cache-Control', cacheControl);
+    }
+
+    return response;
+  }
+}
+
+
+/******************************************************************************/
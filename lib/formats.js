@@ -0,0 +1,680 @@
+/******************************************************************************/
+
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+
+/******************************************************************************/
+
+
+/* A simple growable byte buffer, used by the binary encoders below to build up
+ * their output without having to know the size of it in advance. */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  // Ensure that there is room for the given number of bytes past the end of
+  // the current data, growing the buffer if required.
+  reserve(size) {
+    if (this.length + size <= this.bytes.length) {
+      return;
+    }
+
+    const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value)  { this.reserve(1); this.view.setUint8(this.length, value); this.length += 1; }
+  u16(value) { this.reserve(2); this.view.setUint16(this.length, value); this.length += 2; }
+  u32(value) { this.reserve(4); this.view.setUint32(this.length, value); this.length += 4; }
+  u64(value) { this.reserve(8); this.view.setBigUint64(this.length, BigInt(value)); this.length += 8; }
+  i8(value)  { this.reserve(1); this.view.setInt8(this.length, value); this.length += 1; }
+  i16(value) { this.reserve(2); this.view.setInt16(this.length, value); this.length += 2; }
+  i32(value) { this.reserve(4); this.view.setInt32(this.length, value); this.length += 4; }
+  i64(value) { this.reserve(8); this.view.setBigInt64(this.length, BigInt(value)); this.length += 8; }
+  f64(value) { this.reserve(8); this.view.setFloat64(this.length, value); this.length += 8; }
+
+  raw(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* A simple reader over a byte array, used by the binary decoders below; reading
+ * past the end of the data throws an error. */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  // Advance past the given number of bytes, returning the offset of the first
+  // of them.
+  skip(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error('unexpected end of data');
+    }
+
+    const offset = this.offset;
+    this.offset += size;
+    return offset;
+  }
+
+  u8()  { return this.view.getUint8(this.skip(1)); }
+  u16() { return this.view.getUint16(this.skip(2)); }
+  u32() { return this.view.getUint32(this.skip(4)); }
+  u64() { return toNumber(this.view.getBigUint64(this.skip(8))); }
+  i8()  { return this.view.getInt8(this.skip(1)); }
+  i16() { return this.view.getInt16(this.skip(2)); }
+  i32() { return this.view.getInt32(this.skip(4)); }
+  i64() { return toNumber(this.view.getBigInt64(this.skip(8))); }
+  f16() { return halfToFloat(this.u16()); }
+  f32() { return this.view.getFloat32(this.skip(4)); }
+  f64() { return this.view.getFloat64(this.skip(8)); }
+
+  raw(size) {
+    const offset = this.skip(size);
+    return this.bytes.slice(offset, offset + size);
+  }
+
+  text(size) {
+    return decoder.decode(this.raw(size));
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Convert a 64 bit integer into a number if it can be represented exactly as
+ * one, leaving it as a BigInt otherwise. */
+const toNumber = (value) => {
+  return (value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER))
+    ? Number(value)
+    : value;
+}
+
+
+/* Convert an IEEE 754 half precision float into a number. */
+const halfToFloat = (half) => {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  const sign = (half & 0x8000) ? -1 : 1;
+
+  if (exponent === 0) {
+    return sign * mantissa * 2 ** -24;
+  }
+  if (exponent === 0x1f) {
+    return mantissa === 0 ? sign * Infinity : NaN;
+  }
+
+  return sign * (mantissa + 1024) * 2 ** (exponent - 25);
+}
+
+
+/* Prepare a value for encoding in the same way that JSON.stringify() would;
+ * objects with a toJSON() method (such as Date) are converted by it. The result
+ * is undefined for values that JSON would omit. */
+const prepare = (value) => {
+  if (typeof value?.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  return (typeof value === 'function' || typeof value === 'symbol') ? undefined : value;
+}
+
+
+/* Return the entries of an object that are to be encoded, skipping those whose
+ * value would be omitted by JSON. */
+const objectEntries = (value) => {
+  return Object.entries(value)
+    .map(([key, entry]) => [key, prepare(entry)])
+    .filter(([, entry]) => entry !== undefined);
+}
+
+
+/* Set a member of an object that is being decoded. This defines the member
+ * rather than assigning it, so that a key of __proto__ is an ordinary member
+ * and can't be used to replace the prototype of the object. */
+const setMember = (target, key, value) => {
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+
+/* Determine if the value is binary data. */
+const isBinary = (value) => value instanceof Uint8Array || value instanceof ArrayBuffer;
+
+
+/******************************************************************************/
+
+
+/* Encode a value into MessagePack; the value can contain anything that can be
+ * represented in JSON, as well as binary data (as an ArrayBuffer or Uint8Array)
+ * and BigInt values. */
+export function encodeMessagePack(value) {
+  const out = new ByteWriter();
+
+  const write = (value) => {
+    value = prepare(value);
+
+    if (value === null || value === undefined) {
+      out.u8(0xc0);
+    } else if (typeof value === 'boolean') {
+      out.u8(value ? 0xc3 : 0xc2);
+    } else if (typeof value === 'number' && Number.isSafeInteger(value) === false) {
+      out.u8(0xcb); out.f64(value);
+    } else if (typeof value === 'number' || typeof value === 'bigint') {
+      if (value >= 0) {
+        if (value < 0x80)               { out.u8(Number(value)); }
+        else if (value <= 0xff)         { out.u8(0xcc); out.u8(Number(value)); }
+        else if (value <= 0xffff)       { out.u8(0xcd); out.u16(Number(value)); }
+        else if (value <= 0xffffffff)   { out.u8(0xce); out.u32(Number(value)); }
+        else                            { out.u8(0xcf); out.u64(value); }
+      } else {
+        if (value >= -0x20)             { out.u8(0x100 + Number(value)); }
+        else if (value >= -0x80)        { out.u8(0xd0); out.i8(Number(value)); }
+        else if (value >= -0x8000)      { out.u8(0xd1); out.i16(Number(value)); }
+        else if (value >= -0x80000000)  { out.u8(0xd2); out.i32(Number(value)); }
+        else                            { out.u8(0xd3); out.i64(value); }
+      }
+    } else if (typeof value === 'string') {
+      const bytes = encoder.encode(value);
+      if (bytes.length < 0x20)          { out.u8(0xa0 | bytes.length); }
+      else if (bytes.length <= 0xff)    { out.u8(0xd9); out.u8(bytes.length); }
+      else if (bytes.length <= 0xffff)  { out.u8(0xda); out.u16(bytes.length); }
+      else                              { out.u8(0xdb); out.u32(bytes.length); }
+      out.raw(bytes);
+    } else if (isBinary(value) === true) {
+      const bytes = new Uint8Array(value);
+      if (bytes.length <= 0xff)         { out.u8(0xc4); out.u8(bytes.length); }
+      else if (bytes.length <= 0xffff)  { out.u8(0xc5); out.u16(bytes.length); }
+      else                              { out.u8(0xc6); out.u32(bytes.length); }
+      out.raw(bytes);
+    } else if (Array.isArray(value) === true) {
+      if (value.length < 0x10)          { out.u8(0x90 | value.length); }
+      else if (value.length <= 0xffff)  { out.u8(0xdc); out.u16(value.length); }
+      else                              { out.u8(0xdd); out.u32(value.length); }
+      value.forEach(write);
+    } else {
+      const entries = objectEntries(value);
+      if (entries.length < 0x10)         { out.u8(0x80 | entries.length); }
+      else if (entries.length <= 0xffff) { out.u8(0xde); out.u16(entries.length); }
+      else                               { out.u8(0xdf); out.u32(entries.length); }
+      entries.forEach(([key, entry]) => { write(key); write(entry); });
+    }
+  };
+
+  write(value);
+  return out.result();
+}
+
+
+/* Decode a single MessagePack value from the provided bytes. The timestamp
+ * extension type is decoded as a Date, and all other extension types as an
+ * object with the type and the data of the extension. */
+export function decodeMessagePack(bytes) {
+  const input = new ByteReader(new Uint8Array(bytes));
+
+  const array = (length) => Array.from({ length }, () => read());
+  const map = (length) => {
+    const result = {};
+    for (let i = 0; i < length; i++) {
+      const key = read();
+      setMember(result, key, read());
+    }
+    return result;
+  };
+  const ext = (length) => {
+    const type = input.i8();
+    const data = input.raw(length);
+    if (type !== -1) {
+      return { type, data };
+    }
+
+    const view = new DataView(data.buffer);
+    if (length === 4) return new Date(view.getUint32(0) * 1000);
+    if (length === 8) {
+      const high = view.getUint32(0);
+      const nanoseconds = high >>> 2;
+      const seconds = (high & 0x3) * 2 ** 32 + view.getUint32(4);
+      return new Date(seconds * 1000 + nanoseconds / 1e6);
+    }
+    return new Date(Number(view.getBigInt64(4)) * 1000 + view.getUint32(0) / 1e6);
+  };
+
+  const read = () => {
+    const byte = input.u8();
+
+    if (byte < 0x80) return byte;
+    if (byte < 0x90) return map(byte & 0x0f);
+    if (byte < 0xa0) return array(byte & 0x0f);
+    if (byte < 0xc0) return input.text(byte & 0x1f);
+    if (byte >= 0xe0) return byte - 0x100;
+
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return input.raw(input.u8());
+      case 0xc5: return input.raw(input.u16());
+      case 0xc6: return input.raw(input.u32());
+      case 0xc7: return ext(input.u8());
+      case 0xc8: return ext(input.u16());
+      case 0xc9: return ext(input.u32());
+      case 0xca: return input.f32();
+      case 0xcb: return input.f64();
+      case 0xcc: return input.u8();
+      case 0xcd: return input.u16();
+      case 0xce: return input.u32();
+      case 0xcf: return input.u64();
+      case 0xd0: return input.i8();
+      case 0xd1: return input.i16();
+      case 0xd2: return input.i32();
+      case 0xd3: return input.i64();
+      case 0xd4: return ext(1);
+      case 0xd5: return ext(2);
+      case 0xd6: return ext(4);
+      case 0xd7: return ext(8);
+      case 0xd8: return ext(16);
+      case 0xd9: return input.text(input.u8());
+      case 0xda: return input.text(input.u16());
+      case 0xdb: return input.text(input.u32());
+      case 0xdc: return array(input.u16());
+      case 0xdd: return array(input.u32());
+      case 0xde: return map(input.u16());
+      case 0xdf: return map(input.u32());
+    }
+
+    throw new Error(`invalid MessagePack type byte 0x${byte.toString(16)}`);
+  };
+
+  const result = read();
+  if (input.offset !== input.bytes.length) {
+    throw new Error('unexpected data after MessagePack value');
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Encode a value into CBOR; the value can contain anything that can be
+ * represented in JSON, as well as binary data (as an ArrayBuffer or Uint8Array)
+ * and BigInt values. */
+export function encodeCBOR(value) {
+  const out = new ByteWriter();
+
+  // Write the head of an item with the given major type and argument.
+  const head = (major, argument) => {
+    const type = major << 5;
+    if (argument < 24)                { out.u8(type | Number(argument)); }
+    else if (argument <= 0xff)        { out.u8(type | 24); out.u8(Number(argument)); }
+    else if (argument <= 0xffff)      { out.u8(type | 25); out.u16(Number(argument)); }
+    else if (argument <= 0xffffffff)  { out.u8(type | 26); out.u32(Number(argument)); }
+    else                              { out.u8(type | 27); out.u64(argument); }
+  };
+
+  const write = (value) => {
+    value = prepare(value);
+
+    if (value === null || value === undefined) {
+      out.u8(0xf6);
+    } else if (typeof value === 'boolean') {
+      out.u8(value ? 0xf5 : 0xf4);
+    } else if (typeof value === 'number' && Number.isSafeInteger(value) === false) {
+      out.u8(0xfb); out.f64(value);
+    } else if (typeof value === 'number' || typeof value === 'bigint') {
+      if (value >= 0) {
+        head(0, value);
+      } else {
+        head(1, (typeof value === 'bigint') ? -1n - value : -1 - value);
+      }
+    } else if (typeof value === 'string') {
+      const bytes = encoder.encode(value);
+      head(3, bytes.length);
+      out.raw(bytes);
+    } else if (isBinary(value) === true) {
+      const bytes = new Uint8Array(value);
+      head(2, bytes.length);
+      out.raw(bytes);
+    } else if (Array.isArray(value) === true) {
+      head(4, value.length);
+      value.forEach(write);
+    } else {
+      const entries = objectEntries(value);
+      head(5, entries.length);
+      entries.forEach(([key, entry]) => { write(key); write(entry); });
+    }
+  };
+
+  write(value);
+  return out.result();
+}
+
+
+/* Decode a single CBOR value from the provided bytes. Date tags (0 and 1) are
+ * decoded as a Date, and all other tags are decoded as the tagged value. The
+ * undefined simple value is decoded as null, as are unknown simple values. */
+export function decodeCBOR(bytes) {
+  const input = new ByteReader(new Uint8Array(bytes));
+  const BREAK = Symbol('break');
+
+  // Read the argument of an item given the additional information from its
+  // initial byte; the result is -1 for an indefinite length.
+  const argument = (info) => {
+    if (info < 24) return info;
+    switch (info) {
+      case 24: return input.u8();
+      case 25: return input.u16();
+      case 26: return input.u32();
+      case 27: return input.u64();
+      case 31: return -1;
+    }
+    throw new Error(`invalid CBOR additional information ${info}`);
+  };
+
+  // Read the chunks of an indefinite length string, joining them together.
+  const chunks = (major) => {
+    const parts = [];
+    for (let part = read(); part !== BREAK; part = read()) {
+      parts.push(part);
+    }
+    if (major === 3) {
+      return parts.join('');
+    }
+
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    parts.reduce((offset, part) => { result.set(part, offset); return offset + part.length; }, 0);
+    return result;
+  };
+
+  const read = () => {
+    const byte = input.u8();
+    const major = byte >> 5;
+    const info = byte & 0x1f;
+
+    if (major === 7) {
+      switch (info) {
+        case 20: return false;
+        case 21: return true;
+        case 25: return input.f16();
+        case 26: return input.f32();
+        case 27: return input.f64();
+        case 31: return BREAK;
+        case 24: input.u8(); return null;
+        default: return null;
+      }
+    }
+
+    const length = argument(info);
+    switch (major) {
+      case 0: return length;
+      case 1: return (typeof length === 'bigint') ? -1n - length : -1 - length;
+      case 2: return (length === -1) ? chunks(major) : input.raw(length);
+      case 3: return (length === -1) ? chunks(major) : input.text(length);
+
+      case 4: {
+        const result = [];
+        for (let i = 0; length === -1 || i < length; i++) {
+          const item = read();
+          if (item === BREAK) break;
+          result.push(item);
+        }
+        return result;
+      }
+
+      case 5: {
+        const result = {};
+        for (let i = 0; length === -1 || i < length; i++) {
+          const key = read();
+          if (key === BREAK) break;
+          setMember(result, key, read());
+        }
+        return result;
+      }
+
+      case 6: {
+        const value = read();
+        if (length === 0) return new Date(value);
+        if (length === 1) return new Date(value * 1000);
+        return value;
+      }
+    }
+  };
+
+  const result = read();
+  if (result === BREAK || input.offset !== input.bytes.length) {
+    throw new Error('invalid CBOR data');
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Encode a list of rows as CSV, per RFC 4180; the rows are either all objects,
+ * in which case the first line is a header with the keys of the objects in the
+ * order that they are first seen, or all arrays of values.
+ *
+ * Values that are objects are encoded as JSON, and null or undefined values are
+ * left empty. The result is undefined if the rows are not a list of objects or
+ * a list of arrays, since such data is not tabular.
+ *
+ * Unless escapeFormulas is false, strings that a spreadsheet would take to be a
+ * formula (those that start with =, +, -, @, a tab or a carriage return) are
+ * prefixed with a single quote, so that opening the file can't run them. */
+export function encodeCSV(rows, { escapeFormulas=true } = {}) {
+  if (Array.isArray(rows) === false) {
+    return undefined;
+  }
+
+  const isRow = (row) => typeof row === 'object' && row !== null && isBinary(row) === false;
+  const arrays = rows.every(row => Array.isArray(row));
+  if (arrays === false && rows.every(row => isRow(row) && Array.isArray(row) === false) === false) {
+    return undefined;
+  }
+
+  const field = (value) => {
+    value = prepare(value);
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = (typeof value === 'object') ? JSON.stringify(value) : String(value);
+    if (escapeFormulas === true && typeof value === 'string' && /^[=+\-@\t\r]/.test(text) === true) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  };
+
+  const lines = [];
+  if (arrays === true) {
+    rows.forEach(row => lines.push(row.map(field).join(',')));
+  } else {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    lines.push(columns.map(field).join(','));
+    rows.forEach(row => lines.push(columns.map(column => field(row[column])).join(',')));
+  }
+
+  return lines.map(line => `${line}\r\n`).join('');
+}
+
+
+/* Decode CSV text per RFC 4180 into a list of objects, using the first line as
+ * the header that names the fields of each object; all values are strings. */
+export function decodeCSV(text) {
+  const records = [];
+  let record = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted === true) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted === true) {
+    throw new Error('unterminated quoted field in CSV data');
+  }
+
+  if (value !== '' || record.length !== 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records;
+  return rows.map(row => Object.fromEntries(header.map((name, index) => [name, row[index] ?? ''])));
+}
+
+
+/******************************************************************************/
+
+
+/* The formats that response bodies can be serialized into and request bodies
+ * parsed from, keyed by media type, in order of preference. Each has a
+ * serialize(body) function that returns the serialized body (or undefined if
+ * the body cannot be represented in the format) and an optional parse(bytes)
+ * function that parses a request body. */
+const formats = new Map();
+
+
+/* Register a format for serializing response bodies and parsing request bodies
+ * of the given media type. The format object has a serialize(body) function
+ * which returns the body as a string or Uint8Array, or undefined if the body
+ * cannot be represented in the format, and optionally a parse(bytes) function
+ * that takes the bytes of a request body and returns the parsed value, as well
+ * as a contentType to use for responses in place of the media type.
+ *
+ * Registering a media type that is already registered replaces it, keeping its
+ * place in the order of preference; new media types are the least preferred. */
+export function registerFormat(mediaType, { serialize, parse, contentType }) {
+  formats.set(mediaType.toLowerCase(), { mediaType: mediaType.toLowerCase(), serialize, parse, contentType });
+}
+
+
+const messagePack = {
+  serialize: encodeMessagePack,
+  parse: decodeMessagePack,
+};
+
+registerFormat('application/json', {
+  serialize: (body) => JSON.stringify(body),
+  parse: (bytes) => JSON.parse(decoder.decode(bytes)),
+});
+registerFormat('application/msgpack', messagePack);
+registerFormat('application/vnd.msgpack', messagePack);
+registerFormat('application/x-msgpack', messagePack);
+registerFormat('application/cbor', {
+  serialize: encodeCBOR,
+  parse: decodeCBOR,
+});
+registerFormat('text/csv', {
+  // A body is tabular if it is a list, or an envelope whose data is a list.
+  serialize: (body) => encodeCSV(Array.isArray(body) ? body : body?.data),
+  parse: (bytes) => decodeCSV(decoder.decode(bytes)),
+  contentType: 'text/csv; charset=utf-8',
+});
+
+
+/******************************************************************************/
+
+
+/* Parse the value of an Accept header into a list of the media ranges that it
+ * contains, in order of preference; each has the type and subtype (either of
+ * which may be "*") and the quality. */
+const parseAccept = (accept) => {
+  return accept.split(',')
+    .map((entry, index) => {
+      const [range, ...params] = entry.trim().toLowerCase().split(';').map(part => part.trim());
+      const q = params.find(param => param.startsWith('q='));
+      const [type = '', subtype = ''] = range.split('/');
+      return { range, type, subtype, q: (q !== undefined) ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(({ type, subtype }) => type !== '' && subtype !== '')
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+}
+
+
+/* Determine if the media type provided matches the given media range. */
+const matchesRange = (mediaType, { type, subtype }) => {
+  const [mediaMain, mediaSub] = mediaType.split('/');
+  return (type === '*' || type === mediaMain) && (subtype === '*' || subtype === mediaSub);
+}
+
+
+/* Generate the registered formats that are acceptable for a response to a
+ * request with the given Accept header, in order of preference; this is every
+ * registered format, in the order they were registered, if there is no Accept
+ * header. Each format has the mediaType and contentType of the format and its
+ * serialize() function. */
+export function* acceptableFormats(accept) {
+  const ranges = parseAccept(accept ?? '*/*');
+  const excluded = ranges.filter(range => range.q <= 0).map(range => range.range);
+
+  for (const range of ranges.filter(range => range.q > 0)) {
+    for (const format of formats.values()) {
+      if (matchesRange(format.mediaType, range) === true && excluded.includes(format.mediaType) === false) {
+        yield { ...format, contentType: format.contentType ?? format.mediaType };
+      }
+    }
+  }
+}
+
+
+/* Find the registered format that can parse a request body with the given
+ * Content-Type, returning undefined if there is none. */
+export function findParser(contentType) {
+  const mediaType = (contentType ?? '').split(';')[0].trim().toLowerCase();
+  const format = formats.get(mediaType);
+
+  return (typeof format?.parse === 'function') ? format : undefined;
+}
+
+
+/******************************************************************************/
@@ -3,6 +3,58 @@
 
 import { validator } from 'hono/validator';
 
+import { acceptableFormats, findParser } from './formats.js';
+
+export { registerFormat } from './formats.js';
+
+
+/******************************************************************************/
+
+
+/* The input data types that can be validated from the incoming request. */
+const INPUT_TYPES = ['json', 'form', 'query', 'param', 'header', 'cookie'];
+
+
+/* The standard reason phrases for the HTTP error statuses; these are used as the
+ * title of problem details documents when the problem type does not provide a
+ * more specific one, and as the status text of responses in the Aegis checks. */
+export const STATUS_TEXT = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  402: 'Payment Required',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  406: 'Not Acceptable',
+  407: 'Proxy Authentication Required',
+  408: 'Request Timeout',
+  409: 'Conflict',
+  410: 'Gone',
+  411: 'Length Required',
+  412: 'Precondition Failed',
+  413: 'Payload Too Large',
+  414: 'URI Too Long',
+  415: 'Unsupported Media Type',
+  416: 'Range Not Satisfiable',
+  417: 'Expectation Failed',
+  418: "I'm a teapot",
+  421: 'Misdirected Request',
+  422: 'Unprocessable Entity',
+  423: 'Locked',
+  424: 'Failed Dependency',
+  425: 'Too Early',
+  426: 'Upgrade Required',
+  428: 'Precondition Required',
+  429: 'Too Many Requests',
+  431: 'Request Header Fields Too Large',
+  451: 'Unavailable For Legal Reasons',
+  500: 'Internal Server Error',
+  501: 'Not Implemented',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout',
+};
+
 
 /******************************************************************************/
 
@@ -16,13 +68,223 @@ import { validator } from 'hono/validator';
  * form and have a distinct HTTP error code.
  *
  * For simplicity, if the status code is not provided, 500 is assumed.
+ *
+ * The options can contain a stable, machine readable code for the error and
+ * optional details, both of which are included in the failure response, as
+ * well as an object of headers to add to the response. They can also contain
+ * a type URI and an object of extension members, which are used when the error
+ * is reported as a problem details document; see the problemDetails()
+ * middleware.
  */
 export class HttpError extends Error {
-  constructor(message, status=500) {
+  constructor(message, status=500, options={}) {
     super(message);
     this.status = status;
     this.name = 'HttpError';
+    this.code = options.code;
+    this.details = options.details;
+    this.headers = options.headers;
+    this.type = options.type;
+    this.extensions = options.extensions;
+    this.params = options.params;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return a subclass of HttpError with the given name that always
+ * uses the provided status. The message defaults to the reason phrase for the
+ * status, and the code defaults to a version of the reason phrase suitable for
+ * use as a code, e.g. NOT_FOUND. */
+const defineHttpError = (name, status) => {
+  const code = STATUS_TEXT[status].toUpperCase().replace(/[^A-Z]+/g, '_');
+
+  const ErrorClass = class extends HttpError {
+    constructor(message=STATUS_TEXT[status], options={}) {
+      super(message, status, { code, ...options });
+      this.name = name;
+    }
+  };
+
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  return ErrorClass;
+}
+
+
+/* A set of HttpError subclasses for the common error statuses. */
+export const BadRequestError = defineHttpError('BadRequestError', 400);
+export const UnauthorizedError = defineHttpError('UnauthorizedError', 401);
+export const ForbiddenError = defineHttpError('ForbiddenError', 403);
+export const NotFoundError = defineHttpError('NotFoundError', 404);
+export const MethodNotAllowedError = defineHttpError('MethodNotAllowedError', 405);
+export const NotAcceptableError = defineHttpError('NotAcceptableError', 406);
+export const ConflictError = defineHttpError('ConflictError', 409);
+export const GoneError = defineHttpError('GoneError', 410);
+export const PreconditionFailedError = defineHttpError('PreconditionFailedError', 412);
+export const PayloadTooLargeError = defineHttpError('PayloadTooLargeError', 413);
+export const UnsupportedMediaTypeError = defineHttpError('UnsupportedMediaTypeError', 415);
+export const UnprocessableEntityError = defineHttpError('UnprocessableEntityError', 422);
+export const TooManyRequestsError = defineHttpError('TooManyRequestsError', 429);
+export const InternalServerError = defineHttpError('InternalServerError', 500);
+export const NotImplementedError = defineHttpError('NotImplementedError', 501);
+export const ServiceUnavailableError = defineHttpError('ServiceUnavailableError', 503);
+
+
+/******************************************************************************/
+
+
+/* Return an object containing a Retry-After header for the given value, which
+ * is either a number of seconds or a Date, for use as the headers of an
+ * HttpError or a call to fail(). */
+export function retryAfter(value) {
+  const retry = (value instanceof Date) ? value.toUTCString() : String(Math.ceil(value));
+  return { 'Retry-After': retry };
+}
+
+
+/* Return an object containing a WWW-Authenticate header for the given scheme
+ * and authentication parameters (e.g. realm or error), for use as the headers
+ * of an HttpError or a call to fail(). */
+export function wwwAuthenticate(scheme, params={}) {
+  const values = Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}="${String(value).replace(/["\\]/g, '\\$&')}"`);
+
+  return { 'WWW-Authenticate': values.length === 0 ? scheme : `${scheme} ${values.join(', ')}` };
+}
+
+
+/* Return an object containing an Allow header that lists the given methods,
+ * for use as the headers of an HttpError or a call to fail(). */
+export function allowMethods(methods) {
+  return { 'Allow': methods.map(method => method.toUpperCase()).join(', ') };
+}
+
+
+/******************************************************************************/
+
+
+/* The errors that the application has registered via registerErrors(), keyed by
+ * their code. */
+const errorRegistry = new Map();
+
+
+/* Register a set of application specific error codes; the input is an object
+ * whose keys are the codes and whose values are objects that contain the
+ * status and message to use for that error, and optionally a description of
+ * when the error occurs and a problem type URI.
+ *
+ * Registering a code that is already registered replaces it. */
+export function registerErrors(errors) {
+  for (const [code, { status=500, message, description, type }] of Object.entries(errors)) {
+    errorRegistry.set(code, { code, status, message: message ?? STATUS_TEXT[status], description, type });
+  }
+}
+
+
+/* Return back a list of all of the registered errors, in the order in which they
+ * were registered. */
+export function getRegisteredErrors() {
+  return [...errorRegistry.values()];
+}
+
+
+/* Create an HttpError for a registered error code, using the status, message
+ * and type that were registered for it. The options are as for HttpError, and
+ * override the registered values; in particular, a message can be provided to
+ * replace the registered message.
+ *
+ * An error is thrown if the code is not registered. */
+export function createError(code, options={}) {
+  const entry = errorRegistry.get(code);
+  if (entry === undefined) {
+    throw new Error(`unknown error code '${code}'`);
+  }
+
+  const { message, ...rest } = options;
+  return new HttpError(message ?? entry.message, entry.status, { type: entry.type, ...rest, code });
+}
+
+
+/******************************************************************************/
+
+
+/* The message catalog that the application has registered via
+ * registerMessages(); the keys are locales, and the values are objects that
+ * map message keys to the message template for that key in that locale. */
+const messageCatalog = new Map();
+
+
+/* Register the messages for a locale; the input is an object whose keys are the
+ * message keys (usually error codes) and whose values are the message template
+ * to use for them, in which "{name}" is replaced by the value of the parameter
+ * of that name.
+ *
+ * Registering a key that is already registered for the locale replaces it. */
+export function registerMessages(locale, messages) {
+  const key = locale.toLowerCase();
+  messageCatalog.set(key, { ...messageCatalog.get(key), ...messages });
+}
+
+
+/* This internal helper determines the locale to use for messages for the
+ * request in the given context; this is the "locale" context variable if it is
+ * set, otherwise the first locale from the Accept-Language header (in order of
+ * quality). Either way, the locale must have messages registered, matching
+ * either exactly or by the language alone, e.g. "fr" for "fr-CA".
+ *
+ * The result is undefined if there is no locale with registered messages. */
+const getLocale = (ctx) => {
+  if (messageCatalog.size === 0) {
+    return undefined;
+  }
+
+  const locale = ctx.get?.('locale');
+  const accepted = ((locale !== undefined) ? locale : (ctx.req?.header?.('Accept-Language') ?? ''))
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().toLowerCase().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag, q: q !== undefined ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag !== '' && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of accepted) {
+    if (messageCatalog.has(tag) === true) {
+      return tag;
+    }
+
+    const language = tag.split('-')[0];
+    if (messageCatalog.has(language) === true) {
+      return language;
+    }
+  }
+
+  return undefined;
+}
+
+
+/* Translate the message with the given key into the locale of the request in
+ * the provided context, filling in any parameters in the message template from
+ * the params object. Parameters that are not given are left in the message.
+ *
+ * The result is undefined if there is no message with that key for the locale,
+ * including when there is no key or no locale. When a message is translated,
+ * the locale is recorded in the context so that fail() can declare the language
+ * of its response. */
+export function translate(ctx, key, params={}) {
+  const locale = getLocale(ctx);
+  const template = (key !== undefined && locale !== undefined) ? messageCatalog.get(locale)?.[key] : undefined;
+  if (template === undefined) {
+    return undefined;
   }
+
+  ctx.set?.('__cf_requests_locale', locale);
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
 }
 
 
@@ -37,8 +299,8 @@ export class HttpError extends Error {
  * handler's fail() call; for schema errors this generally returns the object
  * that the schema validator returns when it signals the error. */
 export class SchemaError extends HttpError {
-  constructor(message, status=500, result=undefined) {
-    super(message, status);
+  constructor(message, status=500, result=undefined, options={}) {
+    super(message, status, options);
     this.name = 'SchemaError';
     this.result = result;
   }
@@ -48,97 +310,1411 @@ export class SchemaError extends HttpError {
 /******************************************************************************/
 
 
-/* This internal helper takes an array of error objects in Joker format which
- * are the result of a validation failure, and converts them into strings so
- * that they are easier to read than the objects that Joker produces.
+/* This internal helper takes an array of error objects in Joker format which
+ * are the result of a validation failure, and converts them into strings so
+ * that they are easier to read than the objects that Joker produces.
+ *
+ * If the result passed in is not an array it will be returned untouched. In a
+ * similar vein, an entries in the list that are not objects that have the
+ * required fields are left alone as well. */
+const getErrors = (errors) => {
+  if (Array.isArray(errors) === true) {
+    errors = errors.map(e => {
+      if ("message" in e && "value" in e) {
+        return `${e.message} (got '${e.value}')`
+      } else {
+        return e;
+      }
+    })
+  }
+
+  return errors;
+}
+
+
+/******************************************************************************/
+
+
+/* This internal helper converts an error object in Joker format into the
+ * structured form used when validation errors are not returned as text; the
+ * target is the part of the request (or "result") that the error came from,
+ * and the path is the path to the field within it, without Joker's "item" at
+ * the root.
+ *
+ * Entries that are not error objects become errors with only a message. */
+const structureError = (target, e) => {
+  if (typeof e !== 'object' || e === null) {
+    return { target, path: '', message: String(e), expected: undefined, received: undefined };
+  }
+
+  return {
+    target,
+    path: (typeof e.path === 'string') ? e.path.replace(/^item\.?/, '') : '',
+    message: e.message,
+    expected: (typeof e.type === 'string') ? e.type.replace(/\.\$$/, '') : undefined,
+    received: e.value,
+  };
+}
+
+
+/* This internal helper translates the message of a validation error in Joker
+ * format into the locale of the request in the given context, if there is a
+ * message registered for it; the key is VALIDATION_ERROR followed by a colon
+ * and the type that was expected (e.g. VALIDATION_ERROR:number), falling back
+ * to VALIDATION_ERROR for all types. The parameters are the members of the
+ * structured version of the error (see structureError()).
+ *
+ * The error is returned untouched if there is no translation. */
+const translateError = (ctx, target, e) => {
+  if (typeof e !== 'object' || e === null) {
+    return e;
+  }
+
+  const params = structureError(target, e);
+  const message = translate(ctx, `VALIDATION_ERROR:${params.expected}`, params) ?? translate(ctx, 'VALIDATION_ERROR', params);
+
+  return (message !== undefined) ? { ...e, message } : e;
+}
+
+
+/* This internal helper formats the list of validation errors in Joker format
+ * provided into the form that is returned in a response, translating their
+ * messages into the locale of the request in the given context, if possible.
+ *
+ * The format is either "text" for the strings that getErrors() returns, which
+ * are tagged with the target when tagTarget is true (see tagErrors()),
+ * "structured" for structured error objects, or a function that is invoked as
+ * format(error, original) for each error with the structured error and the
+ * original error object, and returns the formatted error. If no format is
+ * given, the one set by validationErrors() is used.
+ *
+ * For text, the VALIDATION_ERROR_TEXT message is used in place of the text
+ * that getErrors() produces if it is registered for the locale; its parameters
+ * are the message of the error and the value that was received.
+ *
+ * If the errors are not an array they are returned untouched. */
+const formatErrors = (ctx, format, target, errors, tagTarget=false) => {
+  if (Array.isArray(errors) === false) {
+    return errors;
+  }
+
+  format ??= getErrorFormat(ctx);
+  errors = errors.map(e => translateError(ctx, target, e));
+
+  if (format === 'structured') {
+    return errors.map(e => structureError(target, e));
+  }
+
+  if (typeof format === 'function') {
+    return errors.map(e => format(structureError(target, e), e));
+  }
+
+  errors = (tagTarget === true) ? tagErrors(target, errors) : errors;
+  return errors.map(e => {
+    const text = (typeof e === 'object' && e !== null)
+      ? translate(ctx, 'VALIDATION_ERROR_TEXT', { message: e.message, received: e.value })
+      : undefined;
+
+    return text ?? getErrors([e])[0];
+  });
+}
+
+
+/* This internal helper returns the format for validation errors that has been
+ * set for the request in the given context by validationErrors(), defaulting
+ * to text if none has. */
+const getErrorFormat = (ctx) => ctx.get?.('__cf_requests_error_format') ?? 'text';
+
+
+/******************************************************************************/
+
+
+/* This internal helper determines if the schema object provided is a Standard
+ * Schema validator (such as those from zod, valibot or arktype), as opposed to
+ * a Joker-style object with validate and mask functions. */
+const isStandardSchema = (schema) => typeof schema?.['~standard']?.validate === 'function';
+
+
+/******************************************************************************/
+
+
+/* This internal helper converts the list of issues returned by a Standard
+ * Schema validator into error objects in Joker format, so that they can be
+ * handled in the same way as errors that come from Joker.
+ *
+ * The path of each issue is converted into a Joker style path rooted at "item",
+ * and the value is the part of the input at that path. */
+const standardErrors = (issues, input) => issues.map(issue => {
+  const keys = (issue.path ?? []).map(segment => typeof segment === 'object' ? segment.key : segment);
+  const path = ['item', ...keys].join('.');
+  const value = keys.reduce((value, key) => value?.[key], input);
+
+  return { message: `${path}: ${issue.message}`, path, value };
+});
+
+
+/******************************************************************************/
+
+
+/* This internal helper runs the input value provided through a schema, which is
+ * either a Joker-style object with a validate function and an optional mask
+ * function, or a Standard Schema validator.
+ *
+ * The result is an object with either an "errors" key that holds the array of
+ * validation errors in Joker format, or a "value" key that holds the validated
+ * value; this is the masked value for Joker-style schemas and the output of the
+ * validator for a Standard Schema, which can transform its input.
+ *
+ * Both the validate and mask functions may be asynchronous. */
+const checkSchema = async (schema, input) => {
+  if (isStandardSchema(schema) === true) {
+    const result = await schema['~standard'].validate(input);
+    return result.issues === undefined
+      ? { value: result.value }
+      : { errors: standardErrors(result.issues, input) };
+  }
+
+  const result = await schema.validate(input);
+  if (result !== true) {
+    return { errors: result };
+  }
+
+  return { value: typeof schema.mask === 'function' ? await schema.mask(input) : input };
+}
+
+
+/* This internal helper is a version of checkSchema() for use by fail(), which
+ * is not asynchronous; the result is the same, but it is only a Promise when
+ * the schema validates or masks asynchronously. */
+const checkSchemaSettled = (schema, input) => {
+  const settle = (value, next) => (typeof value?.then === 'function') ? value.then(next) : next(value);
+
+  if (isStandardSchema(schema) === true) {
+    return settle(schema['~standard'].validate(input), result => result.issues === undefined
+      ? { value: result.value }
+      : { errors: standardErrors(result.issues, input) });
+  }
+
+  return settle(schema.validate(input), result => {
+    if (result !== true) {
+      return { errors: result };
+    }
+
+    return (typeof schema.mask === 'function') ? settle(schema.mask(input), value => ({ value })) : { value: input };
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* The values that are converted to true and false when coercing an input value
+ * to a boolean; comparisons are case insensitive. */
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+
+/* Convert a single string input value into the type given, which is one of the
+ * scalar coercion types. Values that cannot be converted are returned as they
+ * are, so that the validator can report them. */
+const coerceValue = (value, type) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const text = value.trim();
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return (text !== '' && isNaN(Number(text)) === false) ? Number(text) : value;
+
+    case 'boolean':
+      if (TRUE_VALUES.includes(text.toLowerCase()) === true) return true;
+      if (FALSE_VALUES.includes(text.toLowerCase()) === true) return false;
+      return value;
+
+    case 'date': {
+      const date = new Date(text);
+      return (text !== '' && isNaN(date.getTime()) === false) ? date : value;
+    }
+
+    default:
+      return value;
+  }
+}
+
+
+/* Convert the input data provided using the given coercion map, whose keys are
+ * the fields to convert and whose values are the type to convert to; one of
+ * "string", "number", "integer", "boolean" or "date", or any of those followed
+ * by "[]" for a list of values of that type.
+ *
+ * Values that are lists with a single item (as can happen with query values)
+ * are collapsed into that item unless the type is a list, while single values
+ * for a list type are wrapped into a list. Fields that are not in the map are
+ * left as they are, as is the data if it is not an object. */
+const coerceInput = (data, coercion) => {
+  if (typeof data !== 'object' || data === null || Array.isArray(data) === true) {
+    return data;
+  }
+
+  const result = { ...data };
+  for (const [key, type] of Object.entries(coercion)) {
+    const value = result[key];
+    if (value === undefined) {
+      continue;
+    }
+
+    if (type.endsWith('[]') === true) {
+      result[key] = [value].flat().map(item => coerceValue(item, type.slice(0, -2)));
+    } else {
+      result[key] = coerceValue((Array.isArray(value) && value.length === 1) ? value[0] : value, type);
+    }
+  }
+
+  return result;
+}
+
+
+/* Given the JSON Schema for a property, return the coercion type that converts
+ * input into the type that the schema expects, if any. Dates are never
+ * inferred, since a schema that accepts a date string would then be given a
+ * Date object. */
+const jsonSchemaCoercion = (schema) => {
+  const type = [schema?.type].flat().find(type => type !== 'null');
+  if (type === 'array') {
+    return `${jsonSchemaCoercion(schema.items) ?? 'string'}[]`;
+  }
+
+  return ['string', 'number', 'integer', 'boolean'].includes(type) ? type : undefined;
+}
+
+
+/* This internal helper resolves the coerce option given to validate() for the
+ * provided schema into a coercion map suitable for coerceInput(), or undefined
+ * if the data should not be coerced.
+ *
+ * The option is either a coercion map, which is used as is, or true, in which
+ * case the map is derived from the JSON Schema of the schema; this is either in
+ * its jsonSchema key or, for a Standard Schema, the input schema of its
+ * Standard JSON Schema interface. */
+const resolveCoercion = (dataType, schema, coerce) => {
+  if (coerce === undefined || coerce === false) {
+    return undefined;
+  }
+
+  if (coerce !== true) {
+    return coerce;
+  }
+
+  const jsonSchema = isStandardSchema(schema)
+    ? schema['~standard'].jsonSchema?.input({ target: 'draft-2020-12' })
+    : (typeof schema.jsonSchema === 'function' ? schema.jsonSchema() : schema.jsonSchema);
+
+  if (jsonSchema === undefined) {
+    throw new Error(`coercion for input type '${dataType}' requires a coercion map or a schema with a JSON Schema`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(jsonSchema.properties ?? {})
+      .map(([key, property]) => [key, jsonSchemaCoercion(property)])
+      .filter(([, type]) => type !== undefined)
+  );
+}
+
+
+/******************************************************************************/
+
+
+/* This internal helper decodes the body of the request in the given context for
+ * validation of json data when it is in one of the registered formats other
+ * than JSON (such as MessagePack or CBOR), which the Hono validator does not
+ * understand; for all other data, the value from the Hono validator is
+ * returned unchanged.
+ *
+ * As with malformed JSON, a body that cannot be decoded is a BadRequestError. */
+const decodeBody = async (ctx, dataType, value) => {
+  const format = (dataType === 'json') ? findParser(ctx.req.header('Content-Type')) : undefined;
+  if (format === undefined || format.mediaType === 'application/json') {
+    return value;
+  }
+
+  try {
+    return await format.parse(new Uint8Array(await ctx.req.arrayBuffer()));
+  }
+  catch {
+    throw new BadRequestError(`request ${dataType} body is not valid ${format.mediaType}`, { code: 'MALFORMED_BODY' });
+  }
+}
+
+
+/* The media types of JSON request bodies, as recognized by the Hono validator,
+ * and the media types that form data request bodies can have. */
+const JSON_TYPE = /^application\/([a-z-.]+\+)?json$/;
+const FORM_TYPES = ['multipart/form-data', 'application/x-www-form-urlencoded'];
+
+
+/* This internal helper reads the body of the request in the given context,
+ * throwing the provided error as soon as more than maxSize bytes have been read
+ * rather than after reading all of it, so that a large body that has no
+ * Content-Length is never held in memory.
+ *
+ * The body is placed in the body cache of the request, so that the validator
+ * and the route can still read it. A body that something else has already read
+ * is in memory anyway, so only its size is checked. */
+const readBody = async (ctx, maxSize, tooLarge) => {
+  const raw = ctx.req.raw;
+  if (ctx.req.bodyCache === undefined || Object.keys(ctx.req.bodyCache).length !== 0 || raw?.bodyUsed === true) {
+    if ((await ctx.req.arrayBuffer()).byteLength > maxSize) {
+      throw tooLarge;
+    }
+    return;
+  }
+
+  if (raw.body === null) {
+    return;
+  }
+
+  const reader = raw.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (let chunk = await reader.read(); chunk.done === false; chunk = await reader.read()) {
+    size += chunk.value.byteLength;
+    if (size > maxSize) {
+      await reader.cancel().catch(() => {});
+      throw tooLarge;
+    }
+    chunks.push(chunk.value);
+  }
+
+  const body = new Uint8Array(size);
+  chunks.reduce((offset, chunk) => (body.set(chunk, offset), offset + chunk.byteLength), 0);
+  ctx.req.bodyCache.arrayBuffer = Promise.resolve(body.buffer);
+}
+
+
+/* This internal helper checks the body of the request in the given context for
+ * validation of json and form data, throwing an HttpError if there is a
+ * problem with it; other data types have no body, and are not checked.
+ *
+ * The contentTypes option is a list of the media types that the body can have
+ * (where type/* matches all subtypes), or true to allow only those that can be
+ * validated as the data type; anything else is an UnsupportedMediaTypeError.
+ * The maxSize option is the largest body in bytes, beyond which the body is a
+ * PayloadTooLargeError. Lastly, a JSON body that is not valid JSON is always a
+ * BadRequestError that says why, rather than a generic Hono error. */
+const checkBody = async (ctx, dataType, { contentTypes, maxSize } = {}) => {
+  if (dataType !== 'json' && dataType !== 'form') {
+    return;
+  }
+
+  const mediaType = (ctx.req.header('Content-Type') ?? '').split(';')[0].trim().toLowerCase();
+  if (contentTypes !== undefined) {
+    const allowed = (contentTypes === true)
+      ? (dataType === 'form' ? FORM_TYPES.includes(mediaType) : JSON_TYPE.test(mediaType) || findParser(mediaType) !== undefined)
+      : contentTypes.some(type => type === mediaType || (type.endsWith('/*') && mediaType.startsWith(type.slice(0, -1))));
+
+    if (allowed === false) {
+      throw new UnsupportedMediaTypeError(`request ${dataType} body cannot be ${mediaType || 'of an unspecified type'}`);
+    }
+  }
+
+  if (maxSize !== undefined) {
+    // The Content-Length is checked first to avoid reading a body that is known
+    // to be too large, but it is optional, so the body is checked as well.
+    const tooLarge = new PayloadTooLargeError(`request ${dataType} body is larger than ${maxSize} bytes`);
+    if (Number(ctx.req.header('Content-Length') ?? 0) > maxSize) {
+      throw tooLarge;
+    }
+    await readBody(ctx, maxSize, tooLarge);
+  }
+
+  if (dataType === 'json' && JSON_TYPE.test(mediaType) === true) {
+    try {
+      await ctx.req.json();
+    }
+    catch (err) {
+      throw new BadRequestError(`request json body is not valid JSON: ${err.message}`, { code: 'MALFORMED_BODY' });
+    }
+  }
+}
+
+
+/* This internal helper sends the failure for an HttpError that was thrown by
+ * checkBody() or decodeBody(), using the fail() of the given responder. */
+const bodyFailure = (responder, ctx, err) => {
+  if (err instanceof HttpError === false) {
+    throw err;
+  }
+
+  return responder.fail(ctx, err.message, err.status, undefined, { code: err.code, headers: err.headers });
+}
+
+
+/******************************************************************************/
+
+
+/* The leading bytes of the file types that can be recognized by their content,
+ * which is used to verify the type of uploaded files; null matches any byte. */
+const FILE_SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+];
+
+
+/* Given an uploaded file, return back the type that it has based on its content
+ * and the type that it claims to have, or undefined if the content contradicts
+ * the claimed type.
+ *
+ * Content that has a known signature is that type, whatever it claims to be,
+ * while a file that claims a type with a known signature has to have it. Any
+ * other file is the type it claims to be. */
+const fileType = async (file) => {
+  const claimed = (file.type || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+  const head = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+  const detected = FILE_SIGNATURES.find(sig => sig.bytes.every((byte, i) => byte === null || head[i] === byte))?.type;
+
+  if (detected === undefined && FILE_SIGNATURES.some(sig => sig.type === claimed)) {
+    return undefined;
+  }
+
+  return detected ?? claimed;
+}
+
+
+/* This internal helper checks the file fields of form data against the rules in
+ * the files option of validate(), whose keys are field names and whose values
+ * are the rules for that field: minCount, maxCount (default 1), maxSize (in
+ * bytes) and types (a list of media types, where type/* matches all subtypes).
+ *
+ * The result has the form data without the file fields, the accepted files for
+ * each field along with their types (and the maximum count, which determines
+ * the shape of the field), and the list of errors in Joker format. */
+const checkFiles = async (data, rules) => {
+  const value = { ...data };
+  const files = {};
+  const errors = [];
+
+  for (const [field, { minCount=0, maxCount=1, maxSize, types }] of Object.entries(rules)) {
+    const entries = (value[field] === undefined) ? [] : [value[field]].flat();
+    const path = `item.${field}`;
+    const error = (type, message, received) => errors.push({ message: `${path}: ${message}`, path, type, value: received });
+    delete value[field];
+
+    if (entries.length < minCount) {
+      error('file.count', `at least ${minCount} file(s) are required`, entries.length);
+    }
+    if (entries.length > maxCount) {
+      error('file.count', `at most ${maxCount} file(s) are allowed`, entries.length);
+    }
+
+    files[field] = { maxCount, accepted: [] };
+    for (const file of entries) {
+      if (file instanceof File === false) {
+        error('file', 'is not a file', file);
+        continue;
+      }
+
+      if (maxSize !== undefined && file.size > maxSize) {
+        error('file.size', `is larger than ${maxSize} bytes`, file.name);
+        continue;
+      }
+
+      const type = await fileType(file);
+      if (type === undefined) {
+        error('file.type', `content does not match the type ${file.type}`, file.name);
+        continue;
+      }
+
+      const allowed = types?.some(allow => allow === type || (allow.endsWith('/*') && type.startsWith(allow.slice(0, -1))));
+      if (allowed === false) {
+        error('file.type', `must be one of ${types.join(', ')}`, type);
+        continue;
+      }
+
+      files[field].accepted.push({ file, type });
+    }
+  }
+
+  return { value, files, errors };
+}
+
+
+/* This internal helper returns back the validated form data for the files that
+ * were accepted by checkFiles(); fields that allow a single file have that file
+ * (or undefined), while others have a list.
+ *
+ * When the bucket option of validate() is given, the files are stored in that
+ * R2 bucket (which can also be a function that is given the context and
+ * returns the bucket), and the data is an object with the key, name, type and
+ * size of each file in place of the file. If any of the files can't be stored,
+ * those that were are removed again and the error is thrown. */
+const storeFiles = async (ctx, files, { bucket, key } = {}) => {
+  bucket = (typeof bucket === 'function') ? await bucket(ctx) : bucket;
+  key ??= () => crypto.randomUUID();
+
+  const stored = [];
+  const result = {};
+  try {
+    for (const [field, { maxCount, accepted }] of Object.entries(files)) {
+      const values = [];
+      for (const { file, type } of accepted) {
+        if (bucket === undefined) {
+          values.push(file);
+          continue;
+        }
+
+        const objectKey = await key(file, field, ctx);
+        await bucket.put(objectKey, file, {
+          httpMetadata: { contentType: type },
+          customMetadata: { filename: file.name },
+        });
+
+        stored.push(objectKey);
+        values.push({ key: objectKey, name: file.name, type, size: file.size });
+      }
+
+      result[field] = (maxCount === 1) ? values[0] : values;
+    }
+  }
+  catch (err) {
+    await Promise.allSettled(stored.map(objectKey => bucket.delete(objectKey)));
+    throw err;
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* This internal helper attaches to a middleware function created by validate()
+ * the data type and schema that it was created with, so that tools that walk
+ * a route handler (such as the OpenAPI generator) can find out what the route
+ * validates without having to execute it.
+ *
+ * The middleware is returned back to allow for easier chaining. */
+const tagValidator = (middleware, dataType, schema, files) => {
+  Object.defineProperty(middleware, '__cf_requests_validation', {
+    value: { dataType, schema, files }
+  });
+
+  return middleware;
+}
+
+
+/******************************************************************************/
+
+
+/* Examine the context provided to see if a result validator was provided,
+ * choose the one for the status that is provided, and validate the data in the
+ * body, throwing a SchemaError if the data does not validate.
+ *
+ * If the data in the body DOES validate, then use the appropriate mask function
+ * (if any) to mask the body.
+ *
+ * The returned result is a Promise that resolves to the payload, ready for
+ * return. */
+async function validatePayload(ctx, status, body) {
+  // Try to get the schema map out of the context; if it was found, then we need
+  // to validate.
+  const schemaMap = ctx.get('__cf_requests_response_validator');
+  if (schemaMap !== undefined) {
+    // The validation object to use is either the one for the status provided,
+    // or, if there is no such entry, the default map entry.
+    const validator = schemaMap[status] ?? schemaMap['default'];
+
+    if (validator !== undefined) {
+      // Try to validate; if this does not work, then the data is not valid and
+      // we should throw an error. Otherwise, the result carries the masked
+      // version of the body.
+      const result = await checkSchema(validator, body);
+      if (result.errors !== undefined) {
+        throw new SchemaError(`response data for status ${status} failed schema validation`, 500, result.errors);
+      }
+
+      return result.value;
+    }
+  }
+
+  return body;
+}
+
+
+/* This internal helper validates the data of a failure with the given status
+ * against the schema for that status (or the default) from validate('error'),
+ * if there is one, returning back the masked data; this is a Promise only when
+ * the schema is asynchronous.
+ *
+ * This is used by fail(), so a failure here can't raise another failure
+ * without risking recursion; instead, the problem is logged and the failure is
+ * sent without its data. Failures without data are not validated. */
+function validateErrorData(ctx, status, data) {
+  const schemaMap = ctx.get?.('__cf_requests_error_validator');
+  const validator = schemaMap?.[status] ?? schemaMap?.['default'];
+  if (validator === undefined || data === undefined) {
+    return data;
+  }
+
+  const settled = (result) => {
+    if (result.errors === undefined) {
+      return result.value;
+    }
+
+    writeLog(ctx, {
+      level: 'error',
+      message: `error data for status ${status} failed schema validation`,
+      status,
+      errors: getErrors(result.errors),
+    });
+
+    return undefined;
+  }
+
+  let result;
+  try {
+    result = checkSchemaSettled(validator, data);
+  }
+  catch (err) {
+    result = { errors: err.message };
+  }
+
+  if (typeof result?.then === 'function') {
+    return result.catch(err => ({ errors: err.message })).then(settled);
+  }
+
+  return settled(result);
+}
+
+
+/******************************************************************************/
+
+
+/* Given a context, return back the identifier of the current request, if one
+ * can be determined. */
+const getRequestId = (ctx) => {
+  return ctx.get?.('requestId') ?? ctx.req?.header?.('cf-ray');
+}
+
+
+/* Given a context, return back the identifier of the current request if it
+ * should be included in the response envelope, or undefined if it should not
+ * be. */
+const getEnvelopeRequestId = (ctx) => {
+  return (ctx.get?.('__cf_requests_request_id_envelope') === true) ? getRequestId(ctx) : undefined;
+}
+
+
+/******************************************************************************/
+
+
+/* Create a middleware that assigns an identifier to each request that passes
+ * through it, and makes it available via ctx.get('requestId').
+ *
+ * The identifier is propagated from the incoming request header if there is
+ * one (and it looks sane), or the cf-ray header if not; failing that, a new
+ * identifier is generated. The identifier is echoed back in the same header of
+ * the response, and when the envelope option is set, it is also included in
+ * the body of success() and fail() responses. */
+export const requestId = ({ header='X-Request-Id', envelope=false, generate } = {}) => {
+  generate ??= () => crypto.randomUUID();
+
+  return async (ctx, next) => {
+    const incoming = ctx.req.header(header) ?? ctx.req.header('cf-ray');
+    const id = /^[\w\-.:]{1,128}$/.test(incoming ?? '') ? incoming : generate();
+
+    ctx.set('requestId', id);
+    ctx.set('__cf_requests_request_id_envelope', envelope);
+    ctx.set('__cf_requests_start', ctx.get('__cf_requests_start') ?? Date.now());
+
+    await next();
+    ctx.header(header, id);
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* The default sink for structured logs, which writes each entry to the console
+ * as a single line of JSON, as is expected by Workers Logs. */
+const defaultLogSink = (entry) => console.log(JSON.stringify(entry));
+
+
+/* Create a middleware that enables structured logging for all requests that
+ * pass through it; each entry is an object that is given to the sink function.
+ *
+ * A log entry is written when each request completes, as well as for every
+ * call to fail(), which includes input validation failures in validate(),
+ * response validation failures in success() and json(), and exceptions that
+ * are caught by body(). */
+export const structuredLogger = (sink=defaultLogSink) => {
+  return async (ctx, next) => {
+    ctx.set('__cf_requests_logger', sink);
+    ctx.set('__cf_requests_start', ctx.get('__cf_requests_start') ?? Date.now());
+
+    await next();
+    writeLog(ctx, { level: 'info', message: 'request complete', status: ctx.res.status });
+  }
+}
+
+
+/* Given an error, return back an object that describes it for the purposes of
+ * logging; this includes the message and stack of the error, the chain of
+ * errors that caused it, if any, and the validation errors of a SchemaError. */
+function describeError(err) {
+  const causes = [];
+  for (let cause = err?.cause; cause !== undefined && causes.length < 10; cause = cause?.cause) {
+    causes.push({ name: cause?.name, message: cause?.message ?? String(cause) });
+  }
+
+  return {
+    errorMessage: err?.message ?? String(err),
+    stack: err?.stack,
+    causes: causes.length !== 0 ? causes : undefined,
+    ...(err instanceof SchemaError ? { errors: getErrors(err.result) } : {}),
+  };
+}
+
+
+/* Given an error that was caught while handling a request, return back the
+ * identifier that the failure carries in place of the details of the error when
+ * they are hidden from the response, or undefined if they are not.
+ *
+ * When safe errors are turned on, the details of any error that is not an
+ * HttpError are hidden, since they may leak internal information; so are those
+ * of a failed response validation, whose errors carry the values that failed. */
+function safeErrorId(ctx, err) {
+  if (['true', 'yes'].includes(ctx.env?.CF_REQUESTS_SAFE_ERRORS) === false) {
+    return undefined;
+  }
+
+  const hidden = (err instanceof HttpError) === false || (err instanceof SchemaError && err.status >= 500);
+  return (hidden === true) ? crypto.randomUUID() : undefined;
+}
+
+
+/* Write an entry to the structured log for the request in the given context,
+ * if there is one; the entry is augmented with the standard fields that
+ * identify the request and how long it has been running. Fields that have no
+ * value are left out.
+ *
+ * Any error raised by the log sink is discarded, since a failure to log should
+ * not cause the request to fail. */
+function writeLog(ctx, entry) {
+  const sink = ctx.get?.('__cf_requests_logger');
+  if (typeof sink !== 'function') {
+    return;
+  }
+
+  const start = ctx.get('__cf_requests_start');
+  const fields = {
+    level: entry.level,
+    message: entry.message,
+    requestId: getRequestId(ctx),
+    method: ctx.req?.method,
+    route: ctx.req?.routePath,
+    path: ctx.req?.path,
+    duration: (start !== undefined) ? Date.now() - start : undefined,
+    ...entry,
+  };
+
+  try {
+    sink(Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)));
+  }
+  catch {
+    // Nothing to do here; see above.
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Compute and return an ETag for the value provided, which is the SHA-1 hash of
+ * the value; strings and byte arrays are hashed as they are, while anything else
+ * is hashed as its JSON representation.
+ *
+ * The result is a strong ETag unless the weak option is set, in which case it
+ * is prefixed with W/ to mark it as weak. */
+export async function computeETag(value, { weak=false } = {}) {
+  if (typeof value !== 'string' && value instanceof Uint8Array === false && value instanceof ArrayBuffer === false) {
+    value = JSON.stringify(value);
+  }
+  if (typeof value === 'string') {
+    value = new TextEncoder().encode(value);
+  }
+
+  const digest = await crypto.subtle.digest('SHA-1', value);
+  const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+  return `${weak === true ? 'W/' : ''}"${hash}"`;
+}
+
+
+/* Given the value of an If-Match or If-None-Match header, return back the list
+ * of entity tags that it contains; this is undefined if there is no header, and
+ * ['*'] if the header matches any representation. */
+const parseETags = (header) => {
+  if (header === undefined) {
+    return undefined;
+  }
+  if (header.trim() === '*') {
+    return ['*'];
+  }
+
+  return header.match(/(W\/)?"[^"]*"/g) ?? [];
+}
+
+
+/* Compare two entity tags for equality; a weak comparison ignores the weakness
+ * indicator of both tags, while a strong comparison requires that neither of
+ * them is weak. */
+const matchETag = (a, b, weak) => {
+  if (weak === true) {
+    return a.replace(/^W\//, '') === b.replace(/^W\//, '');
+  }
+
+  return a.startsWith('W/') === false && a === b;
+}
+
+
+/* Given a date and the value of an If-Modified-Since or If-Unmodified-Since
+ * header, return back true if the date is later than the header value, false
+ * if it is not, or undefined if either of them is missing or invalid. Since
+ * HTTP dates only have a resolution of seconds, that is what is compared. */
+const modifiedSince = (lastModified, header) => {
+  const since = Date.parse(header ?? '');
+  if (lastModified === undefined || isNaN(since)) {
+    return undefined;
+  }
+
+  return Math.floor(new Date(lastModified).getTime() / 1000) > Math.floor(since / 1000);
+}
+
+
+/* Given the ETag and last modification date of the response to a GET or HEAD
+ * request, return back true if the conditional headers of the request indicate
+ * that the client already has it, in which case a 304 should be sent instead.
+ *
+ * As per RFC 9110, If-Modified-Since is only considered when there is no
+ * If-None-Match header in the request. */
+const isNotModified = (ctx, etag, lastModified) => {
+  if (['GET', 'HEAD'].includes(ctx.req.method) === false) {
+    return false;
+  }
+
+  const tags = parseETags(ctx.req.header('If-None-Match'));
+  if (tags !== undefined) {
+    return tags.some(tag => tag === '*' || matchETag(tag, etag, true));
+  }
+
+  return modifiedSince(lastModified, ctx.req.header('If-Modified-Since')) === false;
+}
+
+
+/* Create a middleware that enables ETag generation and conditional request
+ * handling for the success(), paginated() and json() responses of all requests
+ * that pass through it.
+ *
+ * Every 200 response carries an ETag, which is a hash of the body after it has
+ * been masked; this is strong (a hash of the exact bytes that are sent) unless
+ * the weak option is set. Handlers can set the etag context variable to provide
+ * their own tag instead, and the lastModified context variable to a date to add
+ * a Last-Modified header.
+ *
+ * For GET and HEAD requests, a 304 with no body is sent instead when the
+ * If-None-Match or If-Modified-Since headers show that the client already has
+ * the response. */
+export const conditional = ({ weak=false } = {}) => {
+  return async (ctx, next) => {
+    ctx.set('__cf_requests_conditional', { weak });
+    await next();
+  }
+}
+
+
+/* Check the If-Match and If-Unmodified-Since preconditions of the request in
+ * the context against the current ETag and last modification date of the
+ * resource that it targets; this is for routes that modify resources, so that
+ * clients can avoid overwriting changes that they have not seen.
+ *
+ * The etag should be undefined if the resource does not exist. When a
+ * precondition does not hold, a PreconditionFailedError is thrown, which body()
+ * turns into a 412 failure. As per RFC 9110, If-Unmodified-Since is only
+ * considered when there is no If-Match header in the request. */
+export function checkPreconditions(ctx, { etag, lastModified } = {}) {
+  const tags = parseETags(ctx.req.header('If-Match'));
+  const failed = (tags !== undefined)
+    ? tags.some(tag => etag !== undefined && (tag === '*' || matchETag(tag, etag, false))) === false
+    : modifiedSince(lastModified, ctx.req.header('If-Unmodified-Since')) === true;
+
+  if (failed === true) {
+    throw new PreconditionFailedError('the resource has been modified since it was retrieved');
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* The default shape of the body of a success() response; this is given an
+ * object with the status, message and data of the response (and optionally
+ * meta information such as pagination and the request identifier) and returns
+ * the body to be sent. */
+const defaultSuccessShape = ({ status, message, data, meta, requestId }) => ({
+  success: true, status, message, data, meta, requestId
+});
+
+
+/* The default shape of the body of a fail() response; this is given an object
+ * with the status, message, data, error code, error identifier and request
+ * identifier (if any) of the response and returns the body to be sent. */
+const defaultFailShape = ({ status, message, code, errorId, data, requestId }) => ({
+  success: false, status, message, code, errorId, data, requestId
+});
+
+
+/******************************************************************************/
+
+
+/* This internal helper chooses the most preferred format that the Accept header
+ * of the request allows for sending the body provided, out of those that are
+ * registered (see registerFormat()), and serializes the body in it.
+ *
+ * The result is an object with the format and the serialized content, or
+ * undefined if the body cannot be sent in any of the acceptable formats. The
+ * content of JSON is not generated, since it is sent via ctx.json(). */
+const negotiate = (ctx, body) => {
+  for (const format of acceptableFormats(ctx.req?.header?.('Accept'))) {
+    if (format.mediaType === 'application/json') {
+      return { format };
+    }
+
+    const content = format.serialize(body);
+    if (content !== undefined) {
+      return { format, content };
+    }
+  }
+
+  return undefined;
+}
+
+
+/* This internal helper sends the body provided as the response in the format
+ * chosen by negotiate(); JSON is always sent via ctx.json(), and the response
+ * always varies by the Accept header, in addition to any Vary in the headers. */
+const sendNegotiated = (ctx, { format, content }, body, headers) => {
+  headers = { ...headers, 'Vary': headers?.Vary !== undefined ? `Accept, ${headers.Vary}` : 'Accept' };
+
+  if (format.mediaType === 'application/json') {
+    return ctx.json(body, undefined, headers);
+  }
+
+  return ctx.body(content, undefined, { ...headers, 'Content-Type': format.contentType });
+}
+
+
+/* Create a middleware that turns on (or off) strict content negotiation for
+ * all requests that pass through it; when it is on, success() and json() send a
+ * 406 failure when the body can't be sent in any format that the Accept header
+ * of the request allows. Otherwise, such bodies are sent as JSON.
+ *
+ * This can be applied globally via app.use(), or to a specific route by using
+ * it in the handler chain. */
+export const notAcceptable = (enabled=true) => {
+  return async (ctx, next) => {
+    ctx.set('__cf_requests_not_acceptable', enabled);
+    await next();
+  }
+}
+
+
+/* This internal helper sends the body of a successful response with the given
+ * status, using the format that the request asks for; if there is no format
+ * that is acceptable, the body is sent as JSON, unless notAcceptable() is on
+ * for the request, in which case the fail() of the responder is used to send a
+ * 406 failure instead.
+ *
+ * When conditional() is enabled for the request, the response carries an ETag
+ * (and a Last-Modified if the lastModified context variable is set), and a 304
+ * is sent instead if the conditional headers of the request show that the
+ * client already has this response. */
+const sendPayload = async (responder, ctx, status, body) => {
+  ctx.status(status);
+
+  let negotiated = negotiate(ctx, body);
+  if (negotiated === undefined) {
+    if (ctx.get?.('__cf_requests_not_acceptable') === true) {
+      return responder.fail(ctx, STATUS_TEXT[406], 406, undefined, { code: 'NOT_ACCEPTABLE' });
+    }
+    negotiated = { format: { mediaType: 'application/json' } };
+  }
+
+  const options = ctx.get?.('__cf_requests_conditional');
+  if (options === undefined || status !== 200) {
+    return sendNegotiated(ctx, negotiated, body);
+  }
+
+  // A strong ETag is for the bytes of this representation, while a weak ETag
+  // is for the body, regardless of the format that it is sent in.
+  const weak = options.weak === true;
+  const content = (weak === false && negotiated.content !== undefined) ? negotiated.content : JSON.stringify(body);
+  const etag = ctx.get('etag') ?? await computeETag(content, { weak });
+  const lastModified = ctx.get('lastModified');
+
+  const headers = { 'ETag': etag };
+  if (lastModified !== undefined) {
+    headers['Last-Modified'] = new Date(lastModified).toUTCString();
+  }
+
+  if (isNotModified(ctx, etag, lastModified) === true) {
+    return ctx.body(null, 304, { ...headers, 'Vary': 'Accept' });
+  }
+
+  return sendNegotiated(ctx, negotiated, body, headers);
+}
+
+
+/******************************************************************************/
+
+
+/* Generate a standardized success response from an API call, using the success
+ * shape of the responder that this function belongs to. If the provided
+ * context has a response guard attached to it, the result that is provided will
+ * be validated against it (and also masked, if a mask was provided) prior to
+ * being attached to the output and returned.
+ *
+ * If this results in an error, an exception is thrown to indicate this; the
+ * standard machinery will catch this and handle it as appropriate.
+ *
+ * On success (no validation, or validation passes), this generates a JSON
+ * return value with the given HTTP status, with a data section that contains
+ * the provided result, whatever it may be (and which could possibly have been
+ * masked). */
+const makeSuccess = (responder) => async (ctx, message, result, status) => {
+  status ??= 200;
+  result ??= [];
+
+  // Construct the body that we will be returning back and validate/mask it as
+  // appropriate.
+  let body = await validatePayload(ctx, status, responder.successShape({ status, message, data: result, requestId: getEnvelopeRequestId(ctx) }));
+
+  return sendPayload(responder, ctx, status, body);
+}
+
+/******************************************************************************/
+
+
+/* Given a request context, a list of items and the page information that was
+ * used to fetch them, return back the pagination information for the response.
+ *
+ * The page information is either cursor based (it contains a cursor and/or a
+ * nextCursor) or offset based; in both cases it should include the limit that
+ * was used, and can include the total number of items if that is known.
+ *
+ * Links to the next and previous pages are built from the URL of the current
+ * request by replacing the pagination query parameters; they are null when
+ * there is no such page. */
+function getPagination(ctx, items, pageInfo) {
+  const { limit, total } = pageInfo;
+  const url = ctx.req?.url;
+
+  // Generate a link to the current URL with the given query parameters replaced
+  // (or removed, when the value is undefined).
+  const link = (params) => {
+    if (url === undefined) {
+      return null;
+    }
+
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(params)) {
+      if (value === undefined) {
+        target.searchParams.delete(key);
+      } else {
+        target.searchParams.set(key, String(value));
+      }
+    }
+    return target.toString();
+  };
+
+  if ('cursor' in pageInfo || 'nextCursor' in pageInfo) {
+    const { cursor, nextCursor, prevCursor } = pageInfo;
+    return {
+      type: 'cursor',
+      limit,
+      cursor: cursor ?? null,
+      nextCursor: nextCursor ?? null,
+      prevCursor: prevCursor ?? null,
+      total,
+      next: nextCursor != null ? link({ cursor: nextCursor, limit }) : null,
+      prev: prevCursor != null ? link({ cursor: prevCursor, limit }) : null,
+    };
+  }
+
+  // For offsets, if we know the total we know exactly if there is a next page;
+  // otherwise a full page implies that there might be more.
+  const offset = pageInfo.offset ?? 0;
+  const hasNext = (total !== undefined) ? offset + items.length < total : items.length >= limit;
+
+  return {
+    type: 'offset',
+    limit,
+    offset,
+    total,
+    next: hasNext === true ? link({ offset: offset + limit, limit }) : null,
+    prev: offset > 0 ? link({ offset: Math.max(0, offset - limit), limit }) : null,
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Generate a standardized success response from an API call for a page of items
+ * in a list; this works as success() does, but the response includes a block
+ * of pagination information in its meta information, as generated from the
+ * provided page information.
  *
- * If the result passed in is not an array it will be returned untouched. In a
- * similar vein, an entries in the list that are not objects that have the
- * required fields are left alone as well. */
-const getErrors = (errors) => {
-  if (Array.isArray(errors) === true) {
-    errors = errors.map(e => {
-      if ("message" in e && "value" in e) {
-        return `${e.message} (got '${e.value}')`
-      } else {
-        return e;
-      }
-    })
-  }
+ * Any response validation applies to the full body, including the pagination
+ * information. */
+const makePaginated = (responder) => async (ctx, message, items, pageInfo, status) => {
+  status ??= 200;
 
-  return errors;
+  // Construct the body that we will be returning back and validate/mask it as
+  // appropriate.
+  const meta = { pagination: getPagination(ctx, items, pageInfo) };
+  let body = await validatePayload(ctx, status, responder.successShape({
+    status, message, data: items, meta, requestId: getEnvelopeRequestId(ctx)
+  }));
+
+  return sendPayload(responder, ctx, status, body);
 }
 
 
 /******************************************************************************/
 
 
-/* Examine the context provided to see if a result validator was provided,
- * choose the one for the status that is provided, and validate the data in the
- * body, throwing a SchemaError if the data does not validate.
+/* Create a schema object suitable for use with validate('query') that validates
+ * the pagination query parameters for a list request, converting them from
+ * strings as needed.
  *
- * If the data in the body DOES validate, then use the appropriate mask function
- * (if any) to mask the body.
+ * The limit must be an integer between 1 and maxLimit and defaults to
+ * defaultLimit when not provided, the offset must be a non-negative integer and
+ * defaults to 0, and the cursor is an arbitrary string. The mode determines
+ * which of offset or cursor are accepted; by default both are.
  *
- * The returned result is the payload, ready for return. */
-function validatePayload(ctx, status, body) {
-  // Try to get the schema map out of the context; if it was found, then we need
-  // to validate.
-  const schemaMap = ctx.get('__cf_requests_response_validator');
-  if (schemaMap !== undefined) {
-    // The validation object to use is either the one for the status provided,
-    // or, if there is no such entry, the default map entry.
-    const validator = schemaMap[status] ?? schemaMap['default'];
+ * Any other query parameters are removed, unless an additional schema is
+ * provided, in which case they are validated and masked by it. */
+export function paginationSchema({ defaultLimit=20, maxLimit=100, mode='both', schema } = {}) {
+  const allowOffset = (mode === 'offset' || mode === 'both');
+  const allowCursor = (mode === 'cursor' || mode === 'both');
 
-    if (validator !== undefined) {
-      // Try to validate; if this does not return true, then the data is not
-      // valid and we should throw an error. If there is a mask function, then
-      // use it to set up the value of the result.
-      const valid = validator.validate(body);
-      if (valid !== true) {
-        throw new SchemaError(`response data for status ${status} failed schema validation`, 500, valid);
+  // Split the incoming query into the pagination keys and everything else.
+  const split = (query) => {
+    const { limit, offset, cursor, ...rest } = query;
+    return [{ limit, offset, cursor }, rest];
+  };
+
+  // Convert a value into an integer, if it looks like one; anything that does
+  // not is returned as NaN.
+  const toInt = (value) => /^-?\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+
+  return {
+    validate: async (query) => {
+      const [{ limit, offset, cursor }, rest] = split(query);
+      const errors = [];
+
+      if (limit !== undefined) {
+        const value = toInt(limit);
+        if (Number.isInteger(value) === false || value < 1 || value > maxLimit) {
+          errors.push({ message: `query.limit must be an integer between 1 and ${maxLimit}`, path: 'query.limit', value: limit });
+        }
       }
 
-      // Try to validate; if this does not return true, then the data is not
-      // valid and we should throw an error. If there is a mask function, then
-      // use it to set up the value of the result.
-      if (typeof validator.mask === 'function') {
-        return validator.mask(body);
+      if (offset !== undefined) {
+        const value = toInt(offset);
+        if (allowOffset === false) {
+          errors.push({ message: 'query.offset is not supported', path: 'query.offset', value: offset });
+        } else if (Number.isInteger(value) === false || value < 0) {
+          errors.push({ message: 'query.offset must be a non-negative integer', path: 'query.offset', value: offset });
+        }
       }
-    }
-  }
 
-  return body;
+      if (cursor !== undefined) {
+        if (allowCursor === false) {
+          errors.push({ message: 'query.cursor is not supported', path: 'query.cursor', value: cursor });
+        } else if (typeof cursor !== 'string' || cursor.length === 0) {
+          errors.push({ message: 'query.cursor must be a non-empty string', path: 'query.cursor', value: cursor });
+        }
+      }
+
+      if (schema !== undefined) {
+        const result = await schema.validate(rest);
+        if (result !== true) {
+          errors.push(...(Array.isArray(result) ? result : [result]));
+        }
+      }
+
+      return errors.length === 0 ? true : errors;
+    },
+
+    mask: async (query) => {
+      const [{ limit, offset, cursor }, rest] = split(query);
+      const result = (schema === undefined) ? {} : (typeof schema.mask === 'function' ? await schema.mask(rest) : rest);
+
+      result.limit = (limit !== undefined) ? toInt(limit) : defaultLimit;
+      if (allowOffset === true && cursor === undefined) {
+        result.offset = (offset !== undefined) ? toInt(offset) : 0;
+      }
+      if (cursor !== undefined) {
+        result.cursor = cursor;
+      }
+
+      return result;
+    },
+  };
 }
 
 
 /******************************************************************************/
 
 
-/* Generate a standardized success response from an API call. If the provided
- * context has a response guard attached to it, the result that is provided will
- * be validated against it (and also masked, if a mask was provided) prior to
- * being attached to the output and returned.
+/* Generate a streamed response from an API call, where the items that make up
+ * the response come from an iterable (sync or async), such as a cursor over a
+ * large query result. Items are written out as they are produced, rather than
+ * being buffered.
  *
- * If this results in an error, an exception is thrown to indicate this; the
- * standard machinery will catch this and handle it as appropriate.
+ * The format is either "ndjson" (one JSON item per line) or "array" (a single
+ * JSON array); in the latter case, the envelope option can be used to write
+ * the array as the data of the success shape of this responder.
  *
- * On success (no validation, or validation passes), this generates a JSON
- * return value with the given HTTP status, with a data section that contains
- * the provided result, whatever it may be (and which could possibly have been
- * masked). */
-export const success = async (ctx, message, result, status) => {
-  status ??= 200;
-  result ??= [];
+ * If the context has a response guard attached to it, each item is validated
+ * against the schema for the status (and also masked, if a mask was provided)
+ * before it is written.
+ *
+ * Since the status of the response has already been sent by the time an item
+ * fails validation or the iterable throws, such errors instead write a final
+ * item in the fail shape of this responder and end the stream. The error is
+ * still logged and given to the error reporter, as it would be by body(). */
+const makeStream = (responder) => async (ctx, message, items, options={}) => {
+  const { format='ndjson', envelope=false, status=200 } = options;
+  const encoder = new TextEncoder();
 
-  // Construct the body that we will be returning back and validate/mask it as
-  // appropriate.
-  let body = validatePayload(ctx, status, { success: true, status, message, data: result });
+  // Items in an array are separated by commas, while for NDJSON each item is
+  // terminated by a newline.
+  const isArray = (format === 'array');
+  let prefix = isArray ? '[' : '';
+  let suffix = isArray ? ']' : '';
+
+  // To wrap the array in the envelope, generate the envelope with a marker as
+  // the data and then split the result around it.
+  if (isArray === true && envelope === true) {
+    const marker = '__cf_requests_stream_data__';
+    const [before, after] = JSON.stringify(responder.successShape({
+      status, message, data: marker, requestId: getEnvelopeRequestId(ctx)
+    })).split(`"${marker}"`);
+    prefix = `${before}[`;
+    suffix = `]${after}`;
+  }
+
+  const iterator = (items[Symbol.asyncIterator] ?? items[Symbol.iterator]).call(items);
+  let count = 0;
+
+  // Write a single item into the stream, separating it from the previous one
+  // as appropriate for the format.
+  const write = (controller, item) => {
+    const separator = (isArray === true && count !== 0) ? ',' : '';
+    const terminator = (isArray === true) ? '' : '\n';
+    controller.enqueue(encoder.encode(`${separator}${JSON.stringify(item)}${terminator}`));
+    count++;
+  };
+
+  const readable = new ReadableStream({
+    start(controller) {
+      if (prefix !== '') {
+        controller.enqueue(encoder.encode(prefix));
+      }
+    },
+
+    async pull(controller) {
+      let next;
+      try {
+        next = await iterator.next();
+        if (next.done === true) {
+          controller.enqueue(encoder.encode(suffix));
+          controller.close();
+          return;
+        }
+
+        write(controller, await validatePayload(ctx, status, next.value));
+      }
+      catch (err) {
+        // If the error came from validation and not the iterator, let the
+        // iterator know that we are stopping early so it can clean up.
+        if (next !== undefined) {
+          await iterator.return?.();
+        }
+
+        // As in body(), the details of the error may need to be hidden, in which
+        // case the record carries a generic message and the identifier that the
+        // details are logged under.
+        const status = (err instanceof HttpError) ? err.status : 500;
+        const errorId = safeErrorId(ctx, err);
+
+        let data = err.details;
+        let message = err.message;
+        if (errorId !== undefined) {
+          data = undefined;
+          message = translate(ctx, 'INTERNAL_SERVER_ERROR', { status }) ?? STATUS_TEXT[status];
+        } else if (err instanceof SchemaError) {
+          data = formatErrors(ctx, undefined, 'result', err.result);
+        }
+
+        writeLog(ctx, {
+          level: status >= 500 ? 'error' : 'warn',
+          message,
+          status,
+          code: err.code,
+          error: err.name,
+          errors: (err instanceof SchemaError && errorId === undefined) ? data : undefined,
+          errorId,
+          ...(errorId !== undefined ? describeError(err) : {}),
+        });
+        reportError(ctx, err, status, ctx.get?.('__cf_requests_error_reporter'), errorId);
+
+        write(controller, responder.failShape({
+          status,
+          message,
+          code: err.code,
+          errorId,
+          data,
+          requestId: getEnvelopeRequestId(ctx),
+        }));
+
+        controller.enqueue(encoder.encode(suffix));
+        controller.close();
+      }
+    },
+
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+
+  const contentType = isArray ? 'application/json' : 'application/x-ndjson';
 
   ctx.status(status);
-  return ctx.json(body);
+  return ctx.body(readable, undefined, { 'Content-Type': contentType });
 }
 
+
 /******************************************************************************/
 
 
@@ -152,31 +1728,165 @@ export const success = async (ctx, message, result, status) => {
  *
  * On success (no validation, or validation passes), this generates a JSON
  * return value with the given HTTP status containing the (possibly masked)
- * body. */
-export const json = async (ctx, result, status) => {
+ * body. The body is not shaped, so this is the same for all responders, apart
+ * from the fail() used when the body cannot be sent in an acceptable format. */
+const makeJson = (responder) => async (ctx, result, status) => {
   status ??= 200;
 
   // Construct the body that we will be returning back and validate/mask it as
   // appropriate.
-  let body = validatePayload(ctx, status, result ?? []);
+  let body = await validatePayload(ctx, status, result ?? []);
 
-  ctx.status(status);
-  return ctx.json(body);
+  return sendPayload(responder, ctx, status, body);
 }
 
 
 /******************************************************************************/
 
 
-/* Generate a standardized error response from an API call.
+/* Generate a standardized error response from an API call, using the fail
+ * shape of the responder that this function belongs to.
  *
  * This generates a JSON return value with the given HTTP status, with an
- * error reason that is the reason specified. */
-export const fail = (ctx, message, status, result) => {
+ * error reason that is the reason specified.
+ *
+ * The options can contain a machine readable code for the error, which is
+ * included in the response, and an object of headers to add to the response.
+ * The error that caused the failure and the target of a failed validation can
+ * also be provided, which are included in the structured log entry for the
+ * failure (see structuredLogger()). If an errorId is provided, it is included
+ * in the response, and the full details of the error are logged along with it.
+ *
+ * If a message is registered via registerMessages() for the locale of the
+ * request under the messageKey from the options (or the code, if there is no
+ * messageKey), it replaces the message in the response; the params from the
+ * options, along with the status and code, fill in the message template.
+ *
+ * If the problemDetails() middleware has enabled problem details for this
+ * request, the response is instead an RFC 9457 problem details document, using
+ * the type, title, instance and extensions from the options, if any. When the
+ * validation option is set, the result is a list of validation errors and is
+ * rendered as the errors member of the document.
+ *
+ * The response is returned directly, unless the result has to be checked by an
+ * asynchronous schema from validate('error'), in which case it is a Promise. */
+const makeFail = (responder) => (ctx, message, status, result, options={}) => {
   status ??= 400;
 
+  // Flag the request as having failed, so that middleware such as the edge
+  // cache can tell that this is not a success, whatever the status is.
+  ctx.set?.('__cf_requests_failed', true);
+
+  // Log the failure; when this is the result of a validation failure, the
+  // result is the list of errors, and the target is what failed.
+  writeLog(ctx, {
+    level: status >= 500 ? 'error' : 'warn',
+    message,
+    status,
+    code: options.code,
+    error: options.error?.name,
+    target: options.target,
+    errors: options.validation === true ? result : undefined,
+    errorId: options.errorId,
+    ...(options.errorId !== undefined ? describeError(options.error) : {}),
+  });
+
+  // The data of the failure is checked against the error schema for the status,
+  // if there is one; only an asynchronous schema makes the response wait.
+  const data = validateErrorData(ctx, status, result);
+  if (typeof data?.then === 'function') {
+    return data.then(checked => sendFailure(responder, ctx, message, status, checked, options));
+  }
+
+  return sendFailure(responder, ctx, message, status, data, options);
+}
+
+
+/* This internal helper sends the response for a failure from fail(), once the
+ * result has been checked against its error schema. */
+const sendFailure = (responder, ctx, message, status, result, options) => {
+  // The log carries the original message, but the response uses the message for
+  // the locale of the request, if there is one.
+  const params = { status, code: options.code, ...options.params };
+  message = translate(ctx, options.messageKey ?? options.code, params) ?? message;
+
+  // When anything in the response was translated, say which language it is in;
+  // since that depends on the request, shared caches need to know that too.
+  const locale = ctx.get?.('__cf_requests_locale');
+  const headers = (locale !== undefined)
+    ? {
+        ...options.headers,
+        'Content-Language': locale,
+        'Vary': options.headers?.Vary !== undefined ? `${options.headers.Vary}, Accept-Language` : 'Accept-Language',
+      }
+    : options.headers;
+
+  const requestId = getEnvelopeRequestId(ctx);
   ctx.status(status);
-  return ctx.json({ success: false, status, message, data: result });
+
+  if (ctx.get?.('__cf_requests_problem_details') === true) {
+    const type = options.type ?? 'about:blank';
+    const problem = {
+      ...options.extensions,
+      type,
+      title: options.title ?? (type === 'about:blank' ? STATUS_TEXT[status] : undefined),
+      status,
+      detail: message,
+      instance: options.instance ?? ctx.req?.path,
+      code: options.code,
+      errorId: options.errorId,
+      requestId,
+      [options.validation === true ? 'errors' : 'data']: result,
+    };
+
+    return ctx.json(problem, undefined, { ...headers, 'Content-Type': 'application/problem+json' });
+  }
+
+  const body = responder.failShape({
+    status, message, code: options.code, errorId: options.errorId, data: result, requestId
+  });
+
+  // Failures are sent in an acceptable format if possible, but since the error
+  // is more important than the format, JSON is used if not.
+  const negotiated = negotiate(ctx, body) ?? { format: { mediaType: 'application/json' } };
+  return sendNegotiated(ctx, negotiated, body, headers);
+}
+
+
+/******************************************************************************/
+
+
+/* Create a middleware that turns on (or off) the generation of RFC 9457 problem
+ * details documents as the result of fail() for all requests that pass through
+ * it; this includes errors caught by body() and input validation failures.
+ *
+ * This can be applied globally via app.use(), or to a specific route by using
+ * it in the handler chain prior to any validators. Passing false allows a route
+ * to opt back out of problem details when they are globally enabled. */
+export const problemDetails = (enabled=true) => {
+  return async (ctx, next) => {
+    ctx.set('__cf_requests_problem_details', enabled);
+    await next();
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Create a middleware that sets the format of the validation errors that are
+ * returned by validate() and validateRequest() failures, and by body() when it
+ * catches a SchemaError, for all requests that pass through it.
+ *
+ * The format is "structured" for error objects with the target, path, message,
+ * expected and received values of each error, "text" for the default strings,
+ * or a function that is given each structured error along with the original
+ * error object and returns the error to be sent. */
+export const validationErrors = (format='structured') => {
+  return async (ctx, next) => {
+    ctx.set('__cf_requests_error_format', format);
+    await next();
+  }
 }
 
 
@@ -197,7 +1907,8 @@ export const fail = (ctx, message, status, result) => {
  *
  * The schema to use is specified as an object with a "validate" function that
  * can verify the data and an optional "mask" function to mask data away if
- * desired.
+ * desired, or as any Standard Schema validator, whose output is used in place
+ * of the masked data.
  *
  * When the special data type "result" is used, the middleware is set up to be
  * used to verify the result of the response before it is transmitted. In this
@@ -205,15 +1916,41 @@ export const fail = (ctx, message, status, result) => {
  * the result regardless of the status, or it can be an objects with keys that
  * are status values (or "default" as a fallback) and values that represent the
  * schema to use for that status type, falling back to the "default" key if a
- * specific status is not defined. */
-export const validate = (dataType, schemaInput) => {
+ * specific status is not defined.
+ *
+ * The special data type "error" works the same way, but the schemas are used by
+ * fail() to validate the data of failures with that status, which includes the
+ * failures from body() and from input validation. These schemas can be
+ * asynchronous, in which case fail() returns a Promise for the response; see
+ * validateErrorData().
+ *
+ * For input data types, the options can contain a coerce option, which is used
+ * to convert the incoming data (which is mostly strings) into the types that
+ * the schema expects before it is validated; this is either a map of field
+ * names to the type to convert them to, or true to derive the conversions from
+ * the JSON Schema of the schema.
+ *
+ * The options can also contain an errors option, which sets the format of the
+ * validation errors for this validator, overriding the one that is set by the
+ * validationErrors() middleware; see that function for the possible values.
+ *
+ * For json and form data, the contentTypes and maxSize options restrict the
+ * media type and size of the request body, failing with a 415 or a 413 when
+ * they are not met; a JSON body that can't be parsed fails with a 400.
+ *
+ * For form data, the files option gives the rules for the fields that contain
+ * uploaded files, which are checked apart from the schema (see checkFiles());
+ * the accepted files are optionally stored in the R2 bucket given by the bucket
+ * option (see storeFiles()). */
+const makeValidate = (responder) => (dataType, schemaInput, options={}) => {
   // If this is our own internal `result` data type, then return a middleware
   // that will store the validator into the context to be used by the json() or
   // success() functions. This supports both single schemas and status maps.
+  // The `error` data type is the same, but for the fail() function.
   //
   // Due to my excessive amount of paranoia, this is namespaced with the package
   // name to slightly reduce the possibility of a name conflict.
-  if (dataType === 'result') {
+  if (dataType === 'result' || dataType === 'error') {
     // The schema input can be either a single object with "validate" and
     // "mask" keys (and mask is optional), or it can be an object that maps
     // status  codes to such objects, allowing for per-result schema checking.
@@ -223,48 +1960,301 @@ export const validate = (dataType, schemaInput) => {
     // "validate" key, we assume that this is intended to be a single schema
     // lookup for all possible statuses.
     let schemaMap = schemaInput;
-    if (typeof schemaInput.validate === 'function') {
+    if (typeof schemaInput.validate === 'function' || isStandardSchema(schemaInput) === true) {
       schemaMap = { default: schemaInput };
     }
 
-    return async (ctx, next) => {
-      ctx.set('__cf_requests_response_validator', schemaMap);
+    const key = (dataType === 'result') ? '__cf_requests_response_validator' : '__cf_requests_error_validator';
+    return tagValidator(async (ctx, next) => {
+      ctx.set(key, schemaMap);
       await next();
-    }
+    }, dataType, schemaMap);
   }
 
   // All other data types are inputs, and they require the schema input to be a
   // single object; for the sake of sanity, catch people doing that and error
   // out.
-  const validateFn = schemaInput.validate;
-  const maskFn = schemaInput.mask;
-
-  if (typeof validateFn !== 'function') {
+  if (typeof schemaInput.validate !== 'function' && isStandardSchema(schemaInput) === false) {
     throw new Error(`validation for input type '${dataType}' requires a single schema object, not a status map`);
   }
 
+  const coercion = resolveCoercion(dataType, schemaInput, options.coerce);
+  const files = (dataType === 'form') ? options.files : undefined;
+
   // We can now fall through to the Hono validator function to make the call and
   // let it build the middleware for us.
-  return validator(dataType, async (value, ctx) => {
-    // Joker returns true for valid data and an array of error objects on
-    // failure.
-    const result = await validateFn(value);
-    if (result === true) {
-      return typeof maskFn === 'function' ? maskFn(value) : value;
+  const middleware = validator(dataType, async (value, ctx) => {
+    try {
+      value = await decodeBody(ctx, dataType, value);
+    }
+    catch (err) {
+      return bodyFailure(responder, ctx, err);
+    }
+
+    // File fields are checked on their own, so that the schema only has to
+    // deal with the other fields.
+    const uploads = (files !== undefined) ? await checkFiles(value, files) : { value, errors: [] };
+    value = uploads.value;
+
+    if (coercion !== undefined) {
+      value = coerceInput(value, coercion);
+    }
+
+    // The check returns either the validated value or the list of errors
+    // in Joker format.
+    const result = await checkSchema(schemaInput, value);
+    if (result.errors === undefined && uploads.errors.length === 0) {
+      if (files === undefined) {
+        return result.value;
+      }
+
+      // A failure to store the files is not a problem with the request, so it
+      // is reported and fails the same as an unexpected error in body() does.
+      try {
+        return { ...result.value, ...await storeFiles(ctx, uploads.files, options) };
+      }
+      catch (err) {
+        const errorId = safeErrorId(ctx, err);
+        reportError(ctx, err, 500, ctx.get?.('__cf_requests_error_reporter'), errorId);
+
+        return responder.fail(ctx, 'uploaded files could not be stored', 500, undefined, {
+          error: err,
+          errorId,
+          code: 'FILE_STORAGE_FAILED',
+        });
+      }
+    }
+
+    // Fail with 422 to signal unprocessible entity.
+    const errors = formatErrors(ctx, options.errors, dataType, [...(result.errors ?? []), ...uploads.errors]);
+    return responder.fail(ctx, `request ${dataType} data failed schema validation`, 422, errors, {
+      validation: true,
+      target: dataType,
+      messageKey: 'VALIDATION_FAILED',
+      params: { target: dataType },
+    });
+  });
+
+  // Problems with the body itself are caught before the Hono validator sees it,
+  // since it would otherwise ignore or throw on them.
+  return tagValidator(async (ctx, next) => {
+    try {
+      await checkBody(ctx, dataType, options);
+    }
+    catch (err) {
+      return bodyFailure(responder, ctx, err);
+    }
+
+    return middleware(ctx, next);
+  }, dataType, schemaInput, files);
+}
+
+
+/******************************************************************************/
+
+
+/* This internal helper tags a list of validation errors in Joker format with
+ * the target that they came from, by replacing the "item" at the root of the
+ * path of each error (and the message, which starts with the path) with the
+ * name of the target; so "item.id is not a number" for the param target would
+ * become "param.id is not a number".
+ *
+ * Errors that are not in Joker format are returned prefixed with the target. */
+const tagErrors = (target, errors) => [errors].flat().map(e => {
+  if (typeof e?.path !== 'string' || typeof e.message !== 'string') {
+    return (typeof e === 'string') ? `${target}: ${e}` : e;
+  }
+
+  const path = e.path.replace(/^item\b/, target);
+  const message = e.message.startsWith(e.path) ? `${path}${e.message.slice(e.path.length)}` : e.message;
+
+  return { ...e, message, path, target };
+});
+
+
+/******************************************************************************/
+
+
+/* Create a middleware that validates several parts of the request at once; the
+ * targets are an object whose keys are any of the input data types supported by
+ * validate() and whose values are the schema to use for that data type.
+ *
+ * Every target is validated, and if any of them fail, a single 422 failure is
+ * generated that contains the errors from all of them, tagged with the target
+ * and field that they apply to. On success, the validated data for each target
+ * is available via ctx.req.valid(), as it is when using validate().
+ *
+ * The options can contain a coerce option as for validate(), which applies to
+ * all targets when it is true; otherwise it is an object whose keys are targets
+ * and whose values are the coerce option for that target. The errors option is
+ * also supported, as it is for validate(), as are the contentTypes and maxSize
+ * options, which apply to the json or form target. */
+const makeValidateRequest = (responder) => (targets, options={}) => {
+  const entries = Object.entries(targets);
+  const coercions = {};
+
+  for (const [dataType, schema] of entries) {
+    if (INPUT_TYPES.includes(dataType) === false) {
+      throw new Error(`validateRequest() does not support validating '${dataType}' data`);
+    }
+
+    if (typeof schema?.validate !== 'function' && isStandardSchema(schema) === false) {
+      throw new Error(`validation for input type '${dataType}' requires a single schema object`);
+    }
+
+    const coerce = (options.coerce === true) ? true : options.coerce?.[dataType];
+    coercions[dataType] = resolveCoercion(dataType, schema, coerce);
+  }
+
+  const middleware = async (ctx, next) => {
+    const errors = [];
+    const failed = [];
+
+    // Problems with the body are not validation errors, so they fail right
+    // away, before any of the targets are validated.
+    try {
+      for (const [dataType] of entries) {
+        await checkBody(ctx, dataType, options);
+      }
+    }
+    catch (err) {
+      return bodyFailure(responder, ctx, err);
+    }
+
+    // Run the Hono validator for each target in turn; rather than failing, these
+    // gather the errors that they find so that all of the targets are checked.
+    // A body that can't be decoded is the exception to this.
+    let problem;
+    for (const [dataType, schema] of entries) {
+      await validator(dataType, async (value) => {
+        try {
+          value = await decodeBody(ctx, dataType, value);
+        }
+        catch (err) {
+          problem ??= err;
+          return value;
+        }
+
+        if (coercions[dataType] !== undefined) {
+          value = coerceInput(value, coercions[dataType]);
+        }
+
+        const result = await checkSchema(schema, value);
+        if (result.errors === undefined) {
+          return result.value;
+        }
+
+        errors.push(...formatErrors(ctx, options.errors, dataType, result.errors, true));
+        failed.push(dataType);
+        return value;
+      })(ctx, async () => {});
+    }
+
+    if (problem !== undefined) {
+      return bodyFailure(responder, ctx, problem);
     }
 
     // Fail with 422 to signal unprocessible entity.
-    return fail(ctx, `request ${dataType} data failed schema validation`, 422, getErrors(result));
+    if (failed.length !== 0) {
+      return responder.fail(ctx, `request ${failed.join(', ')} data failed schema validation`, 422, errors, {
+        validation: true,
+        target: failed.join(','),
+        messageKey: 'VALIDATION_FAILED',
+        params: { target: failed.join(', ') },
+      });
+    }
+
+    await next();
+  };
+
+  Object.defineProperty(middleware, '__cf_requests_validation', {
+    value: entries.map(([dataType, schema]) => ({ dataType, schema }))
   });
+
+  return middleware;
+}
+
+
+/******************************************************************************/
+
+
+/* Create a middleware that registers an error reporting hook for all requests
+ * that pass through it; this can be applied globally via app.use(), or to a
+ * specific route by using it in the handler chain.
+ *
+ * When body() catches an exception, the hook is invoked as onError(err, ctx,
+ * info), where info contains details on the request and the classification of
+ * the error. The optional filter(err, info) function determines which errors
+ * are reported; by default only errors with a status of 500 or above are. */
+export const reportErrors = (onError, { filter } = {}) => {
+  return async (ctx, next) => {
+    ctx.set('__cf_requests_error_reporter', { onError, filter });
+    await next();
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Report an error that was caught by body() to the provided error reporter (if
+ * there is one), as long as the error passes the filter of the reporter. If
+ * the details of the error were hidden from the response, the errorId is the
+ * identifier that the response carries in their place.
+ *
+ * The reporting is done in the background using the waitUntil() of the
+ * execution context, so that it does not delay the response; if there is no
+ * execution context, the report is still made but is not waited on. Any error
+ * raised by the reporter is written to the structured log and then discarded. */
+function reportError(ctx, err, status, reporter, errorId) {
+  if (typeof reporter?.onError !== 'function') {
+    return;
+  }
+
+  const info = {
+    route: ctx.req?.routePath,
+    method: ctx.req?.method,
+    path: ctx.req?.path,
+    requestId: getRequestId(ctx),
+    errorId,
+    status,
+    classification: (err instanceof SchemaError) ? 'schema' : ((err instanceof HttpError) ? 'http' : 'unknown'),
+  };
+
+  const filter = reporter.filter ?? ((err, info) => info.status >= 500);
+  if (filter(err, info) !== true) {
+    return;
+  }
+
+  const report = Promise.resolve()
+    .then(() => reporter.onError(err, ctx, info))
+    .catch(reportErr => writeLog(ctx, {
+      level: 'error',
+      message: 'error reporter failed',
+      errorId,
+      ...describeError(reportErr),
+    }));
+
+  try {
+    ctx.executionCtx.waitUntil(report);
+  }
+  catch {
+    // There is no execution context, so there is nothing to wait on.
+  }
 }
 
 
 /******************************************************************************/
 
+
 /* Create a request handler that will execute the provided handler function and
  * catch any exceptions that it may raise, returning an appropriate error
- * response back to the caller. */
-export function body(handler) {
+ * response back to the caller.
+ *
+ * The options can contain an onError hook and filter as for reportErrors(), in
+ * which case they are used instead of any error reporter registered on the
+ * context. */
+const makeBody = (responder) => (handler, options={}) => {
   return async (ctx) => {
     try {
       return await handler(ctx);
@@ -273,11 +2263,22 @@ export function body(handler) {
       // By default, the result has no data attached.
       let errorData = undefined;
 
+      // When safe errors are turned on, the details of some errors are hidden
+      // from the response, since they may leak internal information; instead
+      // the response carries an opaque identifier that ties it to the logs and
+      // the error reporter, which get the details.
+      const errorId = safeErrorId(ctx, err);
+
       // If the exception is a schema validation error, then the exception will
       // carry what we want to use for the result, since that tells us how the
       // validation failed.
-      if (err instanceof SchemaError) {
-        errorData = getErrors(err.result);
+      if (errorId !== undefined) {
+        // The details of this error are hidden, so there is no result.
+      } else if (err instanceof SchemaError) {
+        errorData = formatErrors(ctx, undefined, 'result', err.result);
+      } else if (err.details !== undefined) {
+        // The error carries its own details, so those are the result.
+        errorData = err.details;
       } else {
         // This is not a schema validation; check to see if we should be adding
         // a stack trace as the data instead.
@@ -303,7 +2304,22 @@ export function body(handler) {
       // the status; otherwise default to 500.
       const status = (err instanceof HttpError) ? err.status : 500;
 
-      return fail(ctx, err.message, status, errorData);
+      // Report the error, using the reporter for this body if there is one.
+      const reporter = (options.onError !== undefined) ? options : ctx.get?.('__cf_requests_error_reporter');
+      reportError(ctx, err, status, reporter, errorId);
+
+      const message = (errorId !== undefined) ? STATUS_TEXT[status] : err.message;
+      return responder.fail(ctx, message, status, errorData, {
+        error: err,
+        errorId,
+        messageKey: (errorId !== undefined) ? 'INTERNAL_SERVER_ERROR' : undefined,
+        params: err.params,
+        code: err.code,
+        headers: err.headers,
+        type: err.type,
+        extensions: err.extensions,
+        validation: err instanceof SchemaError && errorId === undefined,
+      });
     }
   }
 }
@@ -320,18 +2336,92 @@ export function body(handler) {
  * in a call to body() directly, while all other values (including async
  * functions that take more than one argument) are put into the array as-is.
  *
+ * As a special case, if the first argument is a plain object, it is taken to
+ * be metadata that describes the route (method, path, summary, tags, etc); it
+ * is not put into the array, but is instead attached to it so that it can be
+ * used to generate documentation for the route. When the metadata contains an
+ * onError hook (and optionally a filter), it is registered for the whole route
+ * as if by reportErrors().
+ *
  * This allows for not only validations but also arbitrary middleware as well
  * to be used. */
- export function routeHandler(...args) {
-  return args.map(arg => {
+const makeRouteHandler = (responder) => (...args) => {
+  // If the first argument is a plain object, it is route metadata and not a
+  // part of the handler chain.
+  let routeInfo = undefined;
+  if (args.length !== 0 && Object.getPrototypeOf(args[0] ?? 0) === Object.prototype) {
+    routeInfo = args.shift();
+  }
+
+  const handlers = args.map(arg => {
     // Any async functions that take exactly one argument are passed through the
     // body wrapper to wrap them; everything else passes through as-is.
     if (typeof arg === 'function' && arg.constructor.name === 'AsyncFunction' && arg.length === 1) {
-      return body(arg);
+      return responder.body(arg);
     }
     return arg;
   });
+
+  // An error hook in the metadata applies to everything in the route, so it is
+  // registered ahead of the rest of the handlers.
+  if (typeof routeInfo?.onError === 'function') {
+    handlers.unshift(reportErrors(routeInfo.onError, { filter: routeInfo.filter }));
+  }
+
+  // Attach the metadata, if any; this is not enumerable so that it does not
+  // get in the way of anything that is examining the array.
+  if (routeInfo !== undefined) {
+    Object.defineProperty(handlers, '__cf_requests_route', { value: routeInfo });
+  }
+
+  return handlers;
+}
+
+
+/******************************************************************************/
+
+
+/* Create a responder; this is an object that contains the success(),
+ * paginated(), stream(), fail(), json(), validate(), validateRequest(), body()
+ * and routeHandler() functions, where success(), paginated(), stream() and
+ * fail() generate their bodies using the provided shape functions, and the
+ * others use this responder's fail() to report errors.
+ *
+ * The shape functions are given an object with the status, message and data
+ * for the response (and for success, optional meta information), and return
+ * the body to be sent; they default to the standard envelope if not
+ * provided.
+ *
+ * Result validation via validate('result') applies to the body as returned by
+ * the shape function, the same as it does for the standard envelope. */
+export function createResponder({ successShape, failShape } = {}) {
+  const responder = {
+    successShape: successShape ?? defaultSuccessShape,
+    failShape: failShape ?? defaultFailShape,
+  };
+
+  responder.json = makeJson(responder);
+  responder.success = makeSuccess(responder);
+  responder.paginated = makePaginated(responder);
+  responder.stream = makeStream(responder);
+  responder.fail = makeFail(responder);
+  responder.validate = makeValidate(responder);
+  responder.validateRequest = makeValidateRequest(responder);
+  responder.body = makeBody(responder);
+  responder.routeHandler = makeRouteHandler(responder);
+
+  return responder;
 }
 
 
+/******************************************************************************/
+
+
+/* The default responder, which uses the standard envelope; the functions that
+ * it contains are the ones exported by the library. */
+export const {
+  success, paginated, stream, json, fail, validate, validateRequest, body, routeHandler
+} = createResponder();
+
+
 /******************************************************************************/
@@ -0,0 +1,277 @@
+/******************************************************************************/
+
+
+import { fail, retryAfter } from './handlers.js';
+
+
+/******************************************************************************/
+
+
+/* Encode a byte array as base64, for storing response bodies. */
+const encodeBase64 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return btoa(text);
+}
+
+
+/* Decode a base64 string back into a byte array. */
+const decodeBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+
+/* Return back the fingerprint of the request in the context, which is a hash of
+ * its method, path, query string and body; a key can only be used again for a
+ * request with the same fingerprint. */
+const fingerprint = async (ctx) => {
+  const url = new URL(ctx.req.url);
+  const prefix = new TextEncoder().encode(`${ctx.req.method} ${url.pathname}${url.search}\n`);
+  const body = new Uint8Array(await ctx.req.arrayBuffer());
+
+  const data = new Uint8Array(prefix.length + body.length);
+  data.set(prefix);
+  data.set(body, prefix.length);
+
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+
+/******************************************************************************/
+
+
+/* Apply an operation to the record for a key, given the current record (which
+ * is undefined if there is none) and return back the result along with the
+ * record that should be stored (null to remove it).
+ *
+ * "begin" stores the given pending record if there is no record, and returns
+ * back the record that was already there if there is; "complete" replaces the
+ * record, and "release" removes it. */
+const applyOperation = (current, op, record) => {
+  switch (op) {
+    case 'begin':
+      return (current !== undefined) ? { result: current, store: current } : { result: undefined, store: record };
+
+    case 'complete':
+      return { result: undefined, store: record };
+
+    case 'release':
+      return { result: undefined, store: null };
+
+    default:
+      throw new Error(`unknown idempotency store operation '${op}'`);
+  }
+}
+
+
+/* Given a function that applies an operation to the record for a key, return
+ * back a store that uses it for each of the store operations. */
+const makeStore = (apply) => ({
+  begin: (key, record, ttl) => apply(key, 'begin', record, ttl),
+  complete: (key, record, ttl) => apply(key, 'complete', record, ttl),
+  release: (key) => apply(key, 'release'),
+});
+
+
+/******************************************************************************/
+
+
+/* Create an idempotency store that keeps its records in memory. This is
+ * suitable for tests and local development, but since each isolate of a Worker
+ * has its own memory, it does not catch duplicates across a deployment. */
+export function memoryStore() {
+  const entries = new Map();
+
+  return makeStore(async (key, op, record, ttl) => {
+    const now = Date.now();
+    const entry = entries.get(key);
+
+    const { result, store } = applyOperation(entry?.expires > now ? entry.record : undefined, op, record);
+    if (store === null) {
+      entries.delete(key);
+    } else if (store !== entry?.record) {
+      entries.set(key, { record: store, expires: now + ttl * 1000 });
+    }
+
+    return result;
+  });
+}
+
+
+/* Create an idempotency store that keeps its records in the given KV namespace,
+ * with keys that start with the prefix.
+ *
+ * KV is eventually consistent, so duplicate requests that arrive at different
+ * locations at the same time may both run; use a Durable Object store where
+ * that matters. */
+export function kvStore(namespace, { prefix='' } = {}) {
+  return makeStore(async (key, op, record, ttl) => {
+    const current = await namespace.get(`${prefix}${key}`, 'json');
+
+    const { result, store } = applyOperation(current ?? undefined, op, record);
+    if (store === null) {
+      await namespace.delete(`${prefix}${key}`);
+    } else if (store !== current) {
+      // KV does not allow entries to expire in less than a minute.
+      await namespace.put(`${prefix}${key}`, JSON.stringify(store), { expirationTtl: Math.max(60, ttl) });
+    }
+
+    return result;
+  });
+}
+
+
+/* Create an idempotency store that keeps its records in a Durable Object from
+ * the given namespace, whose class must be IdempotencyObject (or a subclass of
+ * it).
+ *
+ * Each key has its own object, which applies the operations one at a time, so
+ * duplicate requests are always caught. */
+export function durableObjectStore(namespace) {
+  return makeStore(async (key, op, record, ttl) => {
+    const stub = namespace.get(namespace.idFromName(key));
+    const response = await stub.fetch('https://idempotency/', {
+      method: 'POST',
+      body: JSON.stringify({ key, op, record, ttl }),
+    });
+
+    return (await response.json()).result ?? undefined;
+  });
+}
+
+
+/* The Durable Object class that is used by durableObjectStore(); export it
+ * from the Worker and bind it to a namespace in order to use it. */
+export class IdempotencyObject {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { key, op, record, ttl } = await request.json();
+    const now = Date.now();
+
+    const entry = await this.state.storage.get(key);
+    const { result, store } = applyOperation(entry?.expires > now ? entry.record : undefined, op, record);
+    if (store === null) {
+      await this.state.storage.delete(key);
+    } else if (store !== entry?.record) {
+      await this.state.storage.put(key, { record: store, expires: now + ttl * 1000 });
+    }
+
+    return Response.json({ result: result ?? null });
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Create a middleware that makes the routes that it is applied to idempotent
+ * for requests that carry an Idempotency-Key header, so that clients can safely
+ * retry them.
+ *
+ * The first response for a key (other than a 5xx response) is stored for ttl
+ * seconds, and is replayed as-is for later requests with the same key, with an
+ * Idempotent-Replayed header added. A request that reuses a key while the first
+ * request is still running fails with a 409, and one that reuses a key for a
+ * different request (a different method, path or body) fails with a 422.
+ *
+ * While the first request runs, its key is locked for only lockTimeout seconds,
+ * so that a request whose isolate dies before it finishes doesn't block retries
+ * of that key for the whole ttl.
+ *
+ * Keys are kept apart for each caller by the scope function, which is given the
+ * context and returns the identity of the caller; by default this is the
+ * subject of the principal set by authenticate(), if any. A caller can only
+ * ever be replayed its own responses.
+ *
+ * Only requests whose method is in methods are affected; when required is set,
+ * those requests fail with a 400 if they have no key. Records are kept in the
+ * store, which defaults to a memoryStore() and can also be a function that is
+ * given the context and returns the store. */
+export const idempotency = ({ store, ttl=86400, lockTimeout=60, methods=['POST', 'PATCH'], header='Idempotency-Key', required=false, prefix='idempotency', scope, responder } = {}) => {
+  scope ??= (ctx) => ctx.get('principal')?.subject;
+  store ??= memoryStore();
+  const getStore = (typeof store === 'function') ? store : () => store;
+  const failure = responder?.fail ?? fail;
+
+  return async (ctx, next) => {
+    if (methods.includes(ctx.req.method) === false) {
+      return next();
+    }
+
+    const key = ctx.req.header(header);
+    if (key === undefined) {
+      if (required === true) {
+        return failure(ctx, `the ${header} header is required`, 400, undefined, { code: 'IDEMPOTENCY_KEY_REQUIRED' });
+      }
+      return next();
+    }
+
+    if (key.length === 0 || key.length > 255) {
+      return failure(ctx, `the ${header} header is not valid`, 400, undefined, { code: 'IDEMPOTENCY_KEY_INVALID' });
+    }
+
+    // The parts of the key are encoded so that a key that contains the
+    // separator can't be mistaken for the key of a different scope.
+    const target = getStore(ctx);
+    const caller = await scope(ctx);
+    const storeKey = [prefix, caller, key]
+      .filter(part => part !== undefined && part !== null)
+      .map((part, index) => index === 0 ? part : encodeURIComponent(part))
+      .join(':');
+    const request = await fingerprint(ctx);
+
+    const existing = await target.begin(storeKey, { fingerprint: request, state: 'pending' }, lockTimeout);
+    if (existing?.fingerprint !== undefined && existing.fingerprint !== request) {
+      return failure(ctx, `the ${header} has already been used for a different request`, 422, undefined, {
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    if (existing?.state === 'pending') {
+      return failure(ctx, `a request with this ${header} is already in progress`, 409, undefined, {
+        code: 'IDEMPOTENCY_KEY_IN_USE',
+        headers: retryAfter(1),
+      });
+    }
+
+    if (existing?.state === 'complete') {
+      const { status, headers, body } = existing.response;
+      const response = new Response(body === null ? null : decodeBase64(body), { status, headers });
+      response.headers.set('Idempotent-Replayed', 'true');
+      return response;
+    }
+
+    try {
+      await next();
+    }
+    catch (err) {
+      await target.release(storeKey);
+      throw err;
+    }
+
+    // Server errors are not stored, so that the request can be retried; the
+    // cause may well be transient.
+    if (ctx.res.status >= 500) {
+      await target.release(storeKey);
+      return;
+    }
+
+    const response = ctx.res.clone();
+    const body = (response.body === null) ? null : encodeBase64(new Uint8Array(await response.arrayBuffer()));
+    const headers = [...response.headers].filter(([name]) => name.toLowerCase() !== 'set-cookie');
+
+    await target.complete(storeKey, {
+      fingerprint: request,
+      state: 'complete',
+      response: { status: response.status, headers, body },
+    }, ttl);
+  }
+}
+
+
+/******************************************************************************/
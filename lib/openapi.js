@@ -0,0 +1,485 @@
+/******************************************************************************/
+
+
+import { getRegisteredErrors } from './handlers.js';
+
+
+/******************************************************************************/
+
+
+/* A mapping of the data types that validate() knows about which end up as
+ * parameters in an OpenAPI operation to the location that OpenAPI uses for
+ * them. */
+const PARAMETER_LOCATIONS = {
+  param: 'path',
+  query: 'query',
+  header: 'header',
+  cookie: 'cookie',
+};
+
+/* A mapping of the data types that validate() knows about which end up as
+ * the request body in an OpenAPI operation to the media types that the data
+ * can be transmitted as. */
+const BODY_MEDIA_TYPES = {
+  json: ['application/json'],
+  form: ['multipart/form-data', 'application/x-www-form-urlencoded'],
+};
+
+/* A mapping of the built in Joker type names to the JSON Schema type that they
+ * represent. */
+const JOKER_TYPES = {
+  int: 'integer',
+  number: 'number',
+  string: 'string',
+  bool: 'boolean',
+  array: 'array',
+  object: 'object',
+};
+
+/* The keys in route metadata that are used to place the operation in the
+ * document, to generate parts of it, or to register the error hook of the
+ * route, rather than being copied into the operation itself. */
+const ROUTE_KEYS = ['method', 'path', 'errors', 'onError', 'filter'];
+
+
+/******************************************************************************/
+
+
+/* The JSON Schema for the envelope that success() produces when there is no
+ * more specific schema available. */
+const successEnvelope = (data = {}) => ({
+  type: 'object',
+  properties: {
+    success: { const: true },
+    status: { type: 'integer' },
+    message: { type: 'string' },
+    data,
+  },
+  required: ['success', 'status', 'message'],
+});
+
+
+/* The JSON Schema for the envelope that fail() produces; the data portion is
+ * generally not present, but for validation failures it is a list of errors,
+ * and for exceptions it may be a stack trace or the details of the error.
+ *
+ * If a list of codes is given, the code is constrained to be one of them. */
+const failEnvelope = (data = {}, codes = undefined) => ({
+  type: 'object',
+  properties: {
+    success: { const: false },
+    status: { type: 'integer' },
+    message: { type: 'string' },
+    code: (codes !== undefined) ? { type: 'string', enum: codes } : { type: 'string' },
+    data,
+  },
+  required: ['success', 'status', 'message'],
+});
+
+
+/******************************************************************************/
+
+
+/* Given a Joker type specification (which is either the name of a type or an
+ * object with a "joker.type" key and parameters), return back the JSON Schema
+ * that is equivalent to it.
+ *
+ * Custom types that have no JSON Schema equivalent produce an empty schema,
+ * which accepts anything. */
+function jokerType(spec) {
+  // Plain objects that don't carry a type are nested object definitions.
+  if (typeof spec === 'object' && spec['joker.type'] === undefined) {
+    return jokerObject(spec);
+  }
+
+  const { 'joker.type': typeName, ...params } = (typeof spec === 'string') ? { 'joker.type': spec } : spec;
+
+  // Conditional types can be any one of their branches; everything other than
+  // the condition function is a branch.
+  if (typeName === 'conditional') {
+    const { condition, ...branches } = params;
+    return { anyOf: Object.values(branches).map(branch => jokerType(branch)) };
+  }
+
+  const type = JOKER_TYPES[typeName];
+  if (type === undefined) {
+    return {};
+  }
+
+  const result = { type };
+
+  // The min, max and length parameters mean different things depending on the
+  // type that they are applied to.
+  const [minKey, maxKey] = {
+    integer: ['minimum', 'maximum'],
+    number: ['minimum', 'maximum'],
+    string: ['minLength', 'maxLength'],
+    array: ['minItems', 'maxItems'],
+  }[type] ?? [];
+
+  if (minKey !== undefined) {
+    if (params.min !== undefined) result[minKey] = params.min;
+    if (params.max !== undefined) result[maxKey] = params.max;
+    if (params.length !== undefined) {
+      result[minKey] = params.length;
+      result[maxKey] = params.length;
+    }
+  }
+
+  if (type === 'string' && params.format instanceof RegExp) {
+    result.pattern = params.format.source;
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a Joker object definition, return back a JSON Schema object that
+ * describes it, handling the special key prefixes and suffixes that Joker
+ * uses to mark fields as optional, arrays or dictionaries. */
+function jokerObject(definition) {
+  const properties = {};
+  const required = new Set();
+
+  for (const [rawKey, spec] of Object.entries(definition)) {
+    // A leading ? makes the field optional and nullable.
+    const optional = rawKey.startsWith('?');
+    let key = optional ? rawKey.substring(1) : rawKey;
+
+    // Trailing [] or [?] are arrays (where the latter allows null items), while
+    // a trailing {} is an object with values of the given type.
+    let schema = undefined;
+    const match = key.match(/^(.*?)(\[\]|\[\?\]|\{\})$/);
+    if (match !== null) {
+      key = match[1];
+      const itemSchema = jokerType(spec);
+      if (match[2] === '{}') {
+        schema = { type: 'object', additionalProperties: itemSchema };
+      } else {
+        schema = { type: 'array', items: match[2] === '[?]' ? nullable(itemSchema) : itemSchema };
+      }
+    } else {
+      schema = jokerType(spec);
+    }
+
+    // Joker allows the same field to appear both as a plain key and an array
+    // key, in order to put constraints on the array itself.
+    properties[key] = { ...properties[key], ...schema };
+
+    if (optional === true) {
+      properties[key] = nullable(properties[key]);
+      required.delete(key);
+    } else {
+      required.add(key);
+    }
+  }
+
+  const result = { type: 'object', properties };
+  if (required.size !== 0) {
+    result.required = [...required];
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a JSON Schema, return a version of it that also allows for the value
+ * to be null. */
+function nullable(schema) {
+  if (typeof schema.type === 'string') {
+    return { ...schema, type: [schema.type, 'null'] };
+  }
+
+  return schema;
+}
+
+
+/******************************************************************************/
+
+
+/* Convert a Joker schema definition (the object with a root key that would be
+ * given to joker.validator() or put in a .joker.json file) into an equivalent
+ * JSON Schema.
+ *
+ * Joker types that have no JSON Schema equivalent (such as custom types added
+ * via joker.extendTypes()) are converted into an empty schema, which allows
+ * any value. */
+export function jokerToJSONSchema(definition) {
+  return jokerType(definition.root);
+}
+
+
+/******************************************************************************/
+
+
+/* Given a schema object that was provided to validate(), return the JSON Schema
+ * that describes it, if possible.
+ *
+ * The toJSONSchema hook from the options (if any) is given the first chance to
+ * convert the schema; failing that, the schema object can carry its own JSON
+ * Schema in a jsonSchema key, either directly or as a function that returns
+ * it. Standard Schema validators that also implement the Standard JSON Schema
+ * interface are converted via that interface.
+ *
+ * If no JSON Schema can be found, an empty schema is returned. */
+function toJSONSchema(schema, options, info) {
+  const converted = options.toJSONSchema?.(schema, info);
+  if (converted !== undefined) {
+    return converted;
+  }
+
+  // Inputs are described by what the validator accepts, but results and errors
+  // by what it produces, since that is what is sent.
+  const standard = schema['~standard']?.jsonSchema;
+  if (standard !== undefined) {
+    const direction = (info.dataType === 'result' || info.dataType === 'error') ? 'output' : 'input';
+    return standard[direction]({ target: 'draft-2020-12' });
+  }
+
+  if (typeof schema.jsonSchema === 'function') {
+    return schema.jsonSchema();
+  }
+
+  return schema.jsonSchema ?? {};
+}
+
+
+/******************************************************************************/
+
+
+/* Convert a Hono route path into an OpenAPI path template; path parameters in
+ * Hono are given as ":name", possibly with a regular expression constraint in
+ * braces and an optional marker, while OpenAPI uses "{name}". */
+function toOpenAPIPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)(\{(?:[^{}]|\{[^{}]*\})*\})?\??/g, '{$1}');
+}
+
+
+/******************************************************************************/
+
+
+/* Given the JSON Schema of form data and the file rules from the files option
+ * of validate(), return back a version of the schema that also describes the
+ * file fields, as binary strings (or lists of them). */
+function addFileFields(schema, files) {
+  const properties = { ...schema.properties };
+  const required = [...(schema.required ?? [])];
+
+  for (const [field, { minCount=0, maxCount=1, types }] of Object.entries(files)) {
+    const file = { type: 'string', format: 'binary' };
+    if (types?.length === 1) {
+      file.contentMediaType = types[0];
+    }
+
+    properties[field] = (maxCount === 1) ? file : { type: 'array', items: file, minItems: minCount, maxItems: maxCount };
+    if (minCount > 0) {
+      required.push(field);
+    }
+  }
+
+  return { ...schema, type: 'object', properties, ...(required.length !== 0 ? { required } : {}) };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a route handler array as returned by routeHandler(), generate and
+ * return an OpenAPI operation object for it, based on the route metadata and
+ * the validators that appear within it. */
+function generateOperation(routeInfo, handlers, options) {
+  const operation = Object.fromEntries(
+    Object.entries(routeInfo).filter(([key]) => ROUTE_KEYS.includes(key) === false)
+  );
+
+  const parameters = [];
+  let responseMap = undefined;
+  let errorMap = {};
+  let hasInput = false;
+
+  // Each validator carries a single validation, except for the middleware from
+  // validateRequest(), which carries one for each of its targets.
+  const validations = handlers.flatMap(handler => handler?.__cf_requests_validation ?? []);
+
+  for (const { dataType, schema, files } of validations) {
+
+    // The result and error validators are status maps, so convert each of the
+    // schemas; error schemas only describe the data of the failure.
+    if (dataType === 'result' || dataType === 'error') {
+      const converted = Object.fromEntries(
+        Object.entries(schema).map(([status, entry]) => [
+          status, toJSONSchema(entry, options, { dataType, status })
+        ])
+      );
+
+      if (dataType === 'result') {
+        responseMap = converted;
+      } else {
+        errorMap = converted;
+      }
+      continue;
+    }
+
+    hasInput = true;
+    const jsonSchema = toJSONSchema(schema, options, { dataType });
+
+    // Body types get added as the request body, with the same schema for all
+    // of the possible content types; file uploads can only be multipart.
+    if (BODY_MEDIA_TYPES[dataType] !== undefined) {
+      const mediaTypes = (files !== undefined) ? ['multipart/form-data'] : BODY_MEDIA_TYPES[dataType];
+      const bodySchema = (files !== undefined) ? addFileFields(jsonSchema, files) : jsonSchema;
+
+      operation.requestBody = {
+        required: true,
+        content: Object.fromEntries(
+          mediaTypes.map(type => [type, { schema: bodySchema }])
+        ),
+      };
+      continue;
+    }
+
+    // Everything else is a parameter; each property in the schema is its own
+    // parameter. Path parameters are always required.
+    const location = PARAMETER_LOCATIONS[dataType];
+    if (location === undefined) {
+      continue;
+    }
+
+    const required = jsonSchema.required ?? [];
+    for (const [name, propSchema] of Object.entries(jsonSchema.properties ?? {})) {
+      parameters.push({
+        name,
+        in: location,
+        required: location === 'path' || required.includes(name),
+        schema: propSchema,
+      });
+    }
+  }
+
+  if (parameters.length !== 0) {
+    operation.parameters = parameters;
+  }
+
+  // Set up the responses; the result validator schemas (if any) describe the
+  // body as a whole. When there is no result validator, success is assumed to
+  // be a 200 in the standard envelope.
+  const responses = {};
+  for (const [status, schema] of Object.entries(responseMap ?? { 200: successEnvelope() })) {
+    responses[status] = {
+      description: status === 'default' ? 'Default response' : `Response for status ${status}`,
+      content: { 'application/json': { schema } },
+    };
+  }
+
+  // Input validation failures always result in a 422 with a list of errors,
+  // and anything else that goes wrong is a failure envelope; in both cases the
+  // data is described by the error schema for the status, if there is one.
+  const errorData = (status, fallback={}) => errorMap[status] ?? errorMap.default ?? fallback;
+
+  // Any registered errors that the route says that it can produce are added as
+  // responses for their statuses, listing the codes that can be returned.
+  const registered = new Map(getRegisteredErrors().map(entry => [entry.code, entry]));
+  const byStatus = {};
+  for (const code of routeInfo.errors ?? []) {
+    const entry = registered.get(code);
+    if (entry === undefined) {
+      throw new Error(`route ${routeInfo.method} ${routeInfo.path} uses unknown error code '${code}'`);
+    }
+    (byStatus[entry.status] ??= []).push(entry);
+  }
+
+  for (const [status, entries] of Object.entries(byStatus)) {
+    if (responses[status] === undefined) {
+      responses[status] = {
+        description: entries.map(entry => `${entry.code}: ${entry.description ?? entry.message}`).join('\n'),
+        content: { 'application/json': { schema: failEnvelope(errorData(status), entries.map(entry => entry.code)) } },
+      };
+    }
+  }
+
+  if (hasInput === true && responses['422'] === undefined) {
+    responses['422'] = {
+      description: 'Request data failed schema validation',
+      content: { 'application/json': { schema: failEnvelope(errorData('422', { type: 'array' })) } },
+    };
+  }
+
+  for (const [status, schema] of Object.entries(errorMap)) {
+    if (status !== 'default' && responses[status] === undefined) {
+      responses[status] = {
+        description: `Error response for status ${status}`,
+        content: { 'application/json': { schema: failEnvelope(schema) } },
+      };
+    }
+  }
+
+  if (responses.default === undefined) {
+    responses.default = {
+      description: 'Error response',
+      content: { 'application/json': { schema: failEnvelope(errorData('default')) } },
+    };
+  }
+
+  operation.responses = responses;
+  return operation;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a list of routes, generate an OpenAPI 3.1 document that describes them.
+ *
+ * Each route is either an array as returned by routeHandler() that was given
+ * route metadata (which must include the method and path), or an object with
+ * a handler key that contains such an array, with any other keys overriding
+ * the metadata from the handler.
+ *
+ * Route metadata can contain an errors key that lists the codes of registered
+ * errors (see registerErrors()) that the route may produce, which are
+ * documented as responses for their statuses. All registered errors are also
+ * listed in the x-error-codes extension of the document.
+ *
+ * The options can contain the info and servers for the document, as well as
+ * a toJSONSchema(schema, info) hook used to convert the schema objects given
+ * to validate() into JSON Schema; returning undefined from the hook falls back
+ * to the default conversion. */
+export function generateOpenAPI(routes, options = {}) {
+  const paths = {};
+
+  for (const route of routes) {
+    const handlers = Array.isArray(route) ? route : route.handler;
+    const routeInfo = {
+      ...handlers.__cf_requests_route,
+      ...(Array.isArray(route) ? {} : route),
+    };
+    delete routeInfo.handler;
+
+    if (typeof routeInfo.method !== 'string' || typeof routeInfo.path !== 'string') {
+      throw new Error('routes must have a method and a path to generate an OpenAPI document');
+    }
+
+    const path = toOpenAPIPath(routeInfo.path);
+    paths[path] ??= {};
+    paths[path][routeInfo.method.toLowerCase()] = generateOperation(routeInfo, handlers, options);
+  }
+
+  const errorCodes = getRegisteredErrors();
+
+  return {
+    openapi: '3.1.0',
+    info: options.info ?? { title: 'API', version: '1.0.0' },
+    ...(options.servers !== undefined ? { servers: options.servers } : {}),
+    paths,
+    ...(errorCodes.length !== 0 ? { 'x-error-codes': errorCodes } : {}),
+  };
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,265 @@
+/******************************************************************************/
+
+
+import { fail, retryAfter } from './handlers.js';
+
+
+/******************************************************************************/
+
+
+/* Apply a single request to the given rate limiting state using the fixed
+ * window algorithm, in which each window of time allows a set number of
+ * requests, and the count starts over when the next window begins. */
+const fixedWindow = (state, { limit, window }, now) => {
+  const windowMs = window * 1000;
+  if (state === undefined || now >= state.reset) {
+    state = { count: 0, reset: (Math.floor(now / windowMs) + 1) * windowMs };
+  }
+
+  const count = state.count + 1;
+  const allowed = count <= limit;
+  const reset = Math.ceil((state.reset - now) / 1000);
+
+  return {
+    allowed,
+    remaining: Math.max(0, limit - count),
+    reset,
+    retryAfter: allowed ? 0 : reset,
+    ttl: reset,
+    state: { count: Math.min(count, limit + 1), reset: state.reset },
+  };
+}
+
+
+/* Apply a single request to the given rate limiting state using the token
+ * bucket algorithm, in which a bucket of limit tokens is refilled at a rate of
+ * limit tokens per window, and each request takes one token from it; this
+ * allows bursts up to the limit while enforcing the average rate. */
+const tokenBucket = (state, { limit, window }, now) => {
+  const rate = limit / window;
+  const elapsed = (state === undefined) ? 0 : Math.max(0, now - state.updated) / 1000;
+  let tokens = (state === undefined) ? limit : Math.min(limit, state.tokens + elapsed * rate);
+
+  const allowed = tokens >= 1;
+  if (allowed === true) {
+    tokens -= 1;
+  }
+
+  const reset = Math.ceil((limit - tokens) / rate);
+
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    reset,
+    retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+    ttl: reset,
+    state: { tokens, updated: now },
+  };
+}
+
+
+/* The rate limiting algorithms that are available, keyed by name. */
+const ALGORITHMS = {
+  'fixed-window': fixedWindow,
+  'token-bucket': tokenBucket,
+};
+
+
+/* Apply a single request to the given rate limiting state (which is undefined
+ * for the first request) using the algorithm and limits in the policy.
+ *
+ * The result says whether the request is allowed, how many requests remain,
+ * the number of seconds until the limit resets and until a request would be
+ * allowed, along with the new state and how many seconds it needs to be kept
+ * for. */
+export function applyPolicy(state, policy, now=Date.now()) {
+  const algorithm = ALGORITHMS[policy.algorithm];
+  if (algorithm === undefined) {
+    throw new Error(`unknown rate limiting algorithm '${policy.algorithm}'`);
+  }
+
+  return { limit: policy.limit, ...algorithm(state, policy, now) };
+}
+
+
+/******************************************************************************/
+
+
+/* Create a rate limit store that keeps its state in memory. This is suitable
+ * for tests and local development, but since each isolate of a Worker has its
+ * own memory, it does not enforce limits across a deployment.
+ *
+ * Expired entries are removed as requests come in, at most once a second, so
+ * that the memory used does not keep growing with each new key. */
+export function memoryStore() {
+  const entries = new Map();
+  let pruned = 0;
+
+  return {
+    async hit(key, policy) {
+      const now = Date.now();
+      if (now - pruned >= 1000) {
+        pruned = now;
+        for (const [name, { expires }] of entries) {
+          if (expires <= now) {
+            entries.delete(name);
+          }
+        }
+      }
+
+      const entry = entries.get(key);
+
+      const result = applyPolicy(entry?.expires > now ? entry.state : undefined, policy, now);
+      entries.set(key, { state: result.state, expires: now + result.ttl * 1000 });
+
+      return result;
+    }
+  };
+}
+
+
+/* Create a rate limit store that keeps its state in the given KV namespace,
+ * with keys that start with the prefix.
+ *
+ * KV is eventually consistent, so requests that arrive at different locations
+ * at the same time can exceed the limit somewhat; use a Durable Object store
+ * where the limit has to be exact. */
+export function kvStore(namespace, { prefix='' } = {}) {
+  return {
+    async hit(key, policy) {
+      const state = await namespace.get(`${prefix}${key}`, 'json');
+      const result = applyPolicy(state ?? undefined, policy);
+
+      // KV does not allow entries to expire in less than a minute.
+      await namespace.put(`${prefix}${key}`, JSON.stringify(result.state), { expirationTtl: Math.max(60, result.ttl) });
+
+      return result;
+    }
+  };
+}
+
+
+/* Create a rate limit store that keeps its state in a Durable Object from the
+ * given namespace, whose class must be RateLimitObject (or a subclass of it).
+ *
+ * Each key has its own object, which applies the requests one at a time, so
+ * the limits are exact. */
+export function durableObjectStore(namespace) {
+  return {
+    async hit(key, policy) {
+      const stub = namespace.get(namespace.idFromName(key));
+      const response = await stub.fetch('https://rate-limit/hit', {
+        method: 'POST',
+        body: JSON.stringify({ key, policy }),
+      });
+
+      return response.json();
+    }
+  };
+}
+
+
+/* The Durable Object class that is used by durableObjectStore(); export it
+ * from the Worker and bind it to a namespace in order to use it. */
+export class RateLimitObject {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { key, policy } = await request.json();
+    const now = Date.now();
+
+    const entry = await this.state.storage.get(key);
+    const result = applyPolicy(entry?.expires > now ? entry.state : undefined, policy, now);
+    await this.state.storage.put(key, { state: result.state, expires: now + result.ttl * 1000 });
+
+    return Response.json(result);
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Return back the SHA-256 hash of the given text, as a hex string. */
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+
+/* The functions that produce the key for each request, for the names that can
+ * be given as the key option of rateLimit(). Requests without an API key are
+ * limited by their IP address instead.
+ *
+ * API keys are secrets of unbounded length, so the key is their hash rather
+ * than the key itself. */
+const KEYS = {
+  ip: (ctx) => `ip:${ctx.req.header('CF-Connecting-IP') ?? 'unknown'}`,
+  apiKey: async (ctx) => {
+    const apiKey = ctx.req.header('X-API-Key') ?? ctx.req.header('Authorization');
+    return (apiKey !== undefined) ? `key:${await sha256(apiKey)}` : KEYS.ip(ctx);
+  },
+};
+
+
+/* Create a middleware that limits the rate of the requests that pass through
+ * it, sending a 429 failure via fail() when the limit is exceeded.
+ *
+ * Requests are grouped by the key option, which is "ip" (the default) or
+ * "apiKey", or a function that is given the context and returns the key for
+ * the request; requests for which it returns undefined are not limited. Since
+ * any client can make up a new API key for each request, the "apiKey" key is
+ * only a limit when the middleware runs after the key is authenticated. Each
+ * key is allowed limit requests per window seconds, using either the
+ * "fixed-window" or "token-bucket" algorithm.
+ *
+ * The state is kept in the store, which defaults to a memoryStore(); this can
+ * also be a function that is given the context and returns the store, for
+ * stores that use bindings from the environment. The prefix keeps the state of
+ * different limiters that share a store apart.
+ *
+ * Responses carry RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset headers, and 429 failures also carry Retry-After. */
+export const rateLimit = ({ limit=60, window=60, algorithm='fixed-window', key='ip', store, prefix='ratelimit', message='rate limit exceeded', responder } = {}) => {
+  const policy = { algorithm, limit, window };
+  const getKey = (typeof key === 'function') ? key : KEYS[key];
+  if (getKey === undefined) {
+    throw new Error(`unknown rate limiting key '${key}'`);
+  }
+
+  store ??= memoryStore();
+  const getStore = (typeof store === 'function') ? store : () => store;
+  const failure = responder?.fail ?? fail;
+
+  return async (ctx, next) => {
+    const id = await getKey(ctx);
+    if (id === undefined) {
+      return next();
+    }
+
+    const result = await getStore(ctx).hit(`${prefix}:${id}`, policy);
+    const headers = {
+      'RateLimit-Policy': `${limit};w=${window}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.reset),
+    };
+
+    if (result.allowed === false) {
+      return failure(ctx, message, 429, undefined, {
+        code: 'TOO_MANY_REQUESTS',
+        headers: { ...headers, ...retryAfter(result.retryAfter) },
+      });
+    }
+
+    await next();
+    for (const [name, value] of Object.entries(headers)) {
+      ctx.header(name, value);
+    }
+  }
+}
+
+
+/******************************************************************************/
@@ -21,6 +21,12 @@ export const config = {
   files: [
     "test/validator.test.js",
     "test/handlers.test.js",
+    "test/openapi.test.js",
+    "test/formats.test.js",
+    "test/cache.test.js",
+    "test/ratelimit.test.js",
+    "test/auth.test.js",
+    "test/idempotency.test.js",
   ],
   hooks: {
     setup: async (ctx) => await aegisSetup(ctx),
@@ -0,0 +1,212 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+import { Hono } from "hono";
+import { success, routeHandler } from '../lib/handlers.js';
+import { authenticate, requireScopes, verifyJWT } from '../lib/auth.js';
+
+
+/******************************************************************************/
+
+
+/* Encode a string or byte array as base64url. */
+const base64Url = (data) => {
+  const bytes = (typeof data === 'string') ? new TextEncoder().encode(data) : new Uint8Array(data);
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+
+/* Create a JWT with the given header and claims, signed with the given key
+ * using the WebCrypto algorithm provided. */
+const sign = async (header, claims, key, algorithm) => {
+  const data = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(claims))}`;
+  const signature = await crypto.subtle.sign(algorithm, key, new TextEncoder().encode(data));
+  return `${data}.${base64Url(signature)}`;
+}
+
+
+/* The current time, in the seconds that JWT claims use. */
+const now = () => Math.floor(Date.now() / 1000);
+
+
+/******************************************************************************/
+
+
+export default Collection`Authentication`({
+  "Token Verification": async () => {
+    const secret = 'a very secret secret';
+    const hmac = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const hs256 = (claims) => sign({ alg: 'HS256', typ: 'JWT' }, claims, hmac, { name: 'HMAC' });
+
+    await $check`HS256 tokens are verified with the shared secret`
+      .value(await verifyJWT(await hs256({ sub: 'user' }), { secret }))
+      .eq($.sub, 'user');
+
+    const rsa = await crypto.subtle.generateKey({
+      name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256'
+    }, true, ['sign', 'verify']);
+    const ec = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const jwks = {
+      keys: [
+        { ...await crypto.subtle.exportKey('jwk', rsa.publicKey), kid: 'rsa' },
+        { ...await crypto.subtle.exportKey('jwk', ec.publicKey), kid: 'ec' },
+      ]
+    };
+
+    const rs256 = await sign({ alg: 'RS256', kid: 'rsa' }, { sub: 'rsa-user' }, rsa.privateKey, { name: 'RSASSA-PKCS1-v1_5' });
+    await $check`RS256 tokens are verified with the key from the JWKS`
+      .value(await verifyJWT(rs256, { jwks }))
+      .eq($.sub, 'rsa-user');
+
+    const es256 = await sign({ alg: 'ES256', kid: 'ec' }, { sub: 'ec-user' }, ec.privateKey, { name: 'ECDSA', hash: 'SHA-256' });
+    await $check`ES256 tokens are verified with a JWKS in a JSON string`
+      .value(await verifyJWT(es256, { jwks: JSON.stringify(jwks) }))
+      .eq($.sub, 'ec-user');
+
+    const failure = async (token, options) => {
+      try {
+        await verifyJWT(token, options);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    }
+
+    await $check`tampered tokens are rejected`
+      .value(await failure(rs256.replace(/\.[^.]+\./, `.${base64Url('{"sub":"admin"}')}.`), { jwks }))
+      .eq($.status, 401)
+      .eq($.message, 'the token signature is invalid');
+
+    await $check`algorithms that are not allowed are rejected`
+      .value(await failure(rs256, { jwks, algorithms: ['ES256'] }))
+      .eq($.message, "the token algorithm 'RS256' is not accepted");
+
+    await $check`unsigned tokens are rejected`
+      .value(await failure(`${base64Url('{"alg":"none"}')}.${base64Url('{}')}.`, { secret }))
+      .eq($.message, "the token algorithm 'none' is not accepted");
+
+    await $check`expired tokens are rejected`
+      .value(await failure(await hs256({ exp: now() - 60 }), { secret }))
+      .eq($.message, 'the token has expired');
+
+    await $check`expiry allows for clock skew`
+      .value(await verifyJWT(await hs256({ exp: now() - 60 }), { secret, clockTolerance: 120 }))
+      .isObject($);
+
+    await $check`tokens that are not yet valid are rejected`
+      .value(await failure(await hs256({ nbf: now() + 60 }), { secret }))
+      .eq($.message, 'the token is not yet valid');
+
+    await $check`the audience is checked`
+      .value(await failure(await hs256({ aud: ['other'] }), { secret, audience: ['api', 'web'] }))
+      .eq($.message, 'the token audience is not accepted');
+
+    await $check`the issuer is checked`
+      .value(await failure(await hs256({ iss: 'elsewhere' }), { secret, issuer: 'https://auth.example.com' }))
+      .eq($.message, 'the token issuer is not accepted');
+
+    await $check`malformed tokens are rejected`
+      .value(await failure('not.a.token', { secret }))
+      .eq($.message, 'the token is malformed');
+
+    await $check`tokens whose header or claims are not objects are malformed`
+      .value(await failure('bnVsbA.e30.AAAA', { secret }))
+      .eq($.status, 401)
+      .eq($.message, 'the token is malformed');
+
+    await $check`tokens that can't be checked with the key are rejected`
+      .value(await failure(await hs256({ sub: 'user' }), { secret: '' }))
+      .eq($.status, 401)
+      .eq($.message, 'the token could not be verified');
+
+    await $check`keys that are not valid JWKs are rejected`
+      .value(await failure(rs256, { jwks: [{ kty: 'RSA', kid: 'rsa', n: 'bad' }] }))
+      .eq($.status, 401)
+      .eq($.message, 'the token could not be verified');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Middleware": async () => {
+    const secret = 'another secret';
+    const hmac = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const token = (claims) => sign({ alg: 'HS256' }, { exp: now() + 60, ...claims }, hmac, { name: 'HMAC' });
+
+    const app = new Hono();
+    const auth = authenticate({
+      secret: (ctx) => ctx.env.SECRET,
+      realm: 'api',
+      apiKey: async (key) => key === 'valid-key' ? { subject: 'service', scopes: ['read'] } : undefined,
+    });
+
+    app.get('/me', ...routeHandler(auth, async (ctx) => success(ctx, 'me', ctx.get('principal'))));
+    app.delete('/items', ...routeHandler(auth, requireScopes(['items:write']), async (ctx) => success(ctx, 'deleted')));
+    app.get('/admin', ...routeHandler(authenticate({ secret, scopes: 'admin' }), async (ctx) => success(ctx, 'admin')));
+
+    const request = (path, authorization, method='GET') => app.request(path, {
+      method, headers: authorization ? { 'Authorization': authorization } : {}
+    }, { SECRET: secret });
+
+    let response = await request('/me');
+    await $check`requests without a token fail with a 401 envelope`
+      .value(await response.json())
+      .eq($.success, false)
+      .eq($.status, 401)
+      .eq($.code, 'UNAUTHORIZED');
+
+    await $check`the failure says how to authenticate`
+      .value(response.headers.get('WWW-Authenticate'))
+      .eq($, 'Bearer realm="api"');
+
+    response = await request('/me', `Bearer ${await token({ sub: 'user', scope: 'read items:write' })}`);
+    await $check`the principal of a valid token is available to the route`
+      .value(await response.json())
+      .eq($.data.subject, 'user')
+      .eq($.data.scopes[1], 'items:write')
+      .eq($.data.claims.sub, 'user');
+
+    response = await request('/me', `Bearer ${await token({ exp: now() - 60 })}`);
+    await $check`invalid tokens fail with the reason in WWW-Authenticate`
+      .value(response.headers.get('WWW-Authenticate'))
+      .eq($, 'Bearer realm="api", error="invalid_token", error_description="the token has expired"');
+
+    response = await request('/me', 'Bearer valid-key');
+    await $check`opaque API keys are looked up via the callback`
+      .value(await response.json())
+      .eq($.data.subject, 'service');
+
+    response = await request('/me', 'Bearer wrong-key');
+    await $check`unknown API keys are rejected`
+      .value(response.status)
+      .eq($, 401);
+
+    response = await request('/me', 'Bearer bnVsbA.e30.AAAA');
+    await $check`tokens that are not JSON objects fail with a 401 envelope`
+      .value(await response.json())
+      .eq($.status, 401)
+      .eq($.code, 'UNAUTHORIZED');
+
+    response = await request('/items', 'Bearer valid-key', 'DELETE');
+    await $check`principals without the required scopes fail with a 403 envelope`
+      .value(await response.json())
+      .eq($.status, 403)
+      .eq($.code, 'FORBIDDEN');
+
+    await $check`the scope failure says which scopes are required`
+      .value(response.headers.get('WWW-Authenticate'))
+      .eq($, 'Bearer error="insufficient_scope", scope="items:write"');
+
+    response = await request('/items', `Bearer ${await token({ scp: ['items:write'] })}`, 'DELETE');
+    await $check`principals with the required scopes are allowed`
+      .value(response.status)
+      .eq($, 200);
+
+    response = await request('/admin', `Bearer ${await token({ scope: 'read' })}`);
+    await $check`authenticate() can require scopes itself`
+      .value(response.status)
+      .eq($, 403);
+  },
+});
+
+
+/******************************************************************************/
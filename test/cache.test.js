@@ -0,0 +1,219 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+import { Hono } from "hono";
+import { Miniflare, Response as MiniflareResponse } from "miniflare";
+import { success, fail, routeHandler } from '../lib/handlers.js';
+import { edgeCache, purgeCache, cacheKey } from '../lib/cache.js';
+
+
+/******************************************************************************/
+
+
+/* Run the given function with the default cache from the Workers Cache API of
+ * a Miniflare instance, which is disposed of afterwards.
+ *
+ * The cache is a proxy into the runtime that only accepts responses created by
+ * Miniflare, so the cache that is given to the function converts them. */
+const withCache = async (task) => {
+  const mf = new Miniflare({ modules: true, script: 'export default { fetch: () => new Response() }' });
+
+  try {
+    const cache = (await mf.getCaches()).default;
+    await task({
+      match: (key) => cache.match(key),
+      put: (key, response) => cache.put(key, new MiniflareResponse(response.body, response)),
+      delete: (key) => cache.delete(key),
+    });
+  }
+  finally {
+    await mf.dispose();
+  }
+}
+
+
+/* Create an execution context for requests, which tracks all of the promises
+ * that are given to waitUntil() so that tests can wait for them. */
+const executionCtx = () => {
+  const pending = [];
+
+  return {
+    pending,
+    waitUntil: (promise) => pending.push(promise),
+    passThroughOnException: () => {},
+    settle: async () => { while (pending.length !== 0) await pending.shift(); },
+  };
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Edge Caching`({
+  "Cache Keys": async () => {
+    await $check`query parameters are sorted and fragments are removed`
+      .value(await cacheKey('https://example.com/items?b=2&a=1#top', []))
+      .eq($, 'https://example.com/items?a=1&b=2');
+
+    await $check`a hash of the headers that responses vary by is part of the key`
+      .value(await cacheKey('https://example.com/items', ['Accept'], { 'Accept': 'text/csv' }))
+      .eq($, 'https://example.com/items?__cf_requests_vary_accept=5c9dad2437310dbe4423718ded9fe8233645cdfdd7190e74ff58eb12eb10ac47');
+
+    await $check`credentials that responses vary by are not part of the key`
+      .value((await cacheKey('https://example.com/items', ['Authorization'], { 'Authorization': 'Bearer secret' })).includes('secret'))
+      .eq($, false);
+
+    await $check`a missing header is not the same as an empty one`
+      .value(await cacheKey('https://example.com/items', ['Accept']))
+      .eq($, 'https://example.com/items?__cf_requests_vary_accept=');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Cached Responses": async () => withCache(async (cache) => {
+    const app = new Hono();
+    const calls = { items: 0, failed: 0 };
+
+    app.use('*', edgeCache({ ttl: 60, cache }));
+    app.get('/items', ...routeHandler(async (ctx) => success(ctx, 'items', { calls: ++calls.items })));
+    app.get('/failed', ...routeHandler(async (ctx) => fail(ctx, 'not really', 200, undefined, { calls: ++calls.failed })));
+    app.get('/missing', ...routeHandler(async (ctx) => fail(ctx, 'missing', 404)));
+    app.post('/items', ...routeHandler(async (ctx) => success(ctx, 'created', { calls: ++calls.items })));
+
+    const execution = executionCtx();
+    const request = async (path, init={}) => {
+      const response = await app.request(`https://example.com${path}`, init, {}, execution);
+      await execution.settle();
+      return response;
+    }
+
+    let response = await request('/items?a=1&b=2');
+    await $check`the first request runs the route`
+      .value(await response.json())
+      .eq($.data.calls, 1);
+
+    await $check`responses carry a Cache-Control header`
+      .value(response.headers.get('Cache-Control'))
+      .eq($, 'private, max-age=60');
+
+    response = await request('/items?b=2&a=1');
+    await $check`later requests are served from the cache`
+      .value(await response.json())
+      .eq($.data.calls, 1);
+
+    await $check`cached responses carry their age and not the storage time`
+      .value({ age: response.headers.get('Age'), stored: response.headers.get('X-Cf-Requests-Stored') })
+      .eq($.age, '0')
+      .eq($.stored, null);
+
+    response = await request('/items?a=1&b=2', { headers: { 'Accept': 'application/cbor' } });
+    await $check`requests that differ in the headers responses vary by are cached apart`
+      .value(response.headers.get('Content-Type'))
+      .eq($, 'application/cbor');
+
+    await request('/items', { method: 'POST' });
+    await $check`requests other than GET are never cached`
+      .value((await (await request('/items', { method: 'POST' })).json()).data.calls)
+      .eq($, 4);
+
+    await request('/failed');
+    await request('/failed');
+    await $check`fail() responses are never cached, even with a success status`
+      .value(calls.failed)
+      .eq($, 2);
+
+    await request('/missing');
+    await $check`failures are not stored in the cache`
+      .value(await cache.match(await cacheKey('https://example.com/missing')))
+      .eq($, undefined);
+
+    await $check`purging removes the cached response`
+      .value(await purgeCache('https://example.com/items?a=1&b=2', { cache }))
+      .eq($, true);
+
+    await $check`purged responses are fetched again`
+      .value((await (await request('/items?a=1&b=2')).json()).data.calls)
+      .eq($, 5);
+
+    await $check`purging several variants at once removes each of them`
+      .value(await purgeCache('https://example.com/items?a=1&b=2', { cache, headers: [{}, { 'Accept': 'application/cbor' }] }))
+      .eq($, true);
+
+    await $check`there is nothing left to purge after that`
+      .value(await purgeCache('https://example.com/items?a=1&b=2', { cache, headers: [{}, { 'Accept': 'application/cbor' }] }))
+      .eq($, false);
+
+    const shared = new Hono();
+    shared.use('*', edgeCache({ ttl: 30, cache, cacheControl: 'public, max-age=30' }));
+    shared.get('/shared', ...routeHandler(async (ctx) => success(ctx, 'shared')));
+
+    await $check`responses can be made public`
+      .value((await shared.request('https://example.com/shared', {}, {}, execution)).headers.get('Cache-Control'))
+      .eq($, 'public, max-age=30');
+    await execution.settle();
+  }),
+
+
+  /****************************************************************************/
+
+
+  "Stale While Revalidate": async () => withCache(async (cache) => {
+    const app = new Hono();
+    let calls = 0;
+
+    app.use('*', edgeCache({
+      ttl: 0,
+      staleWhileRevalidate: 60,
+      cache,
+      refresh: (request, ctx) => app.fetch(request, ctx.env, ctx.executionCtx),
+    }));
+    app.get('/items', ...routeHandler(async (ctx) => success(ctx, 'items', { calls: ++calls })));
+
+    const execution = executionCtx();
+    await app.request('https://example.com/items', {}, {}, execution);
+    await execution.settle();
+
+    const response = await app.request('https://example.com/items', {}, {}, execution);
+    await $check`stale responses are served from the cache`
+      .value(await response.json())
+      .eq($.data.calls, 1);
+
+    await $check`the Cache-Control header allows serving stale responses`
+      .value(response.headers.get('Cache-Control'))
+      .eq($, 'private, max-age=0, stale-while-revalidate=60');
+
+    await execution.settle();
+    await $check`the route runs in the background to refresh a stale response`
+      .value(calls)
+      .eq($, 2);
+
+    await $check`the refreshed response replaces the stale one`
+      .value(await (await cache.match(await cacheKey('https://example.com/items'))).json())
+      .eq($.data.calls, 2);
+
+    await $check`without an execution context a stale response is not served`
+      .value((await (await app.request('https://example.com/items', {}, {})).json()).data.calls)
+      .eq($, 3);
+
+    await $check`clients can't force a refresh with the refresh header`
+      .value((await (await app.request('https://example.com/items', {
+        headers: { 'X-Cf-Requests-Refresh': 'guess' }
+      }, {}, execution)).json()).data.calls)
+      .eq($, 3);
+    await execution.settle();
+
+    const manual = new Hono();
+    manual.use('*', edgeCache({ ttl: 0, staleWhileRevalidate: 60, cache }));
+    manual.get('/manual', ...routeHandler(async (ctx) => success(ctx, 'manual', { calls: ++calls })));
+
+    await manual.request('https://example.com/manual', {}, {}, execution);
+    await execution.settle();
+    await $check`without a refresh function a stale response is not served`
+      .value((await (await manual.request('https://example.com/manual', {}, {}, execution)).json()).data.calls)
+      .eq($, 6);
+    await execution.settle();
+  }),
+});
+
+
+/******************************************************************************/
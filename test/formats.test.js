@@ -0,0 +1,205 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+import {
+  encodeMessagePack, decodeMessagePack, encodeCBOR, decodeCBOR, encodeCSV,
+  decodeCSV, acceptableFormats
+} from '../lib/formats.js';
+
+
+/******************************************************************************/
+
+
+/* A value that exercises all of the types that the binary formats support,
+ * including numbers at the boundaries of the various integer encodings. */
+const SAMPLE = {
+  small: 5,
+  negative: -5,
+  byte: 200,
+  short: -200,
+  word: 70000,
+  long: 2 ** 40,
+  negativeLong: -(2 ** 40),
+  float: 1.5,
+  text: 'héllo wörld, this is longer than thirty one bytes',
+  list: [1, 'two', [3], { four: 4 }],
+  many: Array.from({ length: 20 }, (_, i) => i),
+  empty: null,
+  yes: true,
+  no: false,
+  binary: new Uint8Array([1, 2, 3]),
+};
+
+
+/* Convert a byte array into a hex string, for comparing against the expected
+ * encoding of a value. */
+const hex = (bytes) => [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+
+/******************************************************************************/
+
+
+export default Collection`Formats`({
+  "MessagePack": async () => {
+    await $check`values round trip through MessagePack`
+      .value(decodeMessagePack(encodeMessagePack(SAMPLE)))
+      .eq($.small, 5)
+      .eq($.negative, -5)
+      .eq($.byte, 200)
+      .eq($.short, -200)
+      .eq($.word, 70000)
+      .eq($.long, 2 ** 40)
+      .eq($.negativeLong, -(2 ** 40))
+      .eq($.float, 1.5)
+      .eq($.text, SAMPLE.text)
+      .eq($.list[3].four, 4)
+      .eq($.many.length, 20)
+      .eq($.empty, null)
+      .eq($.yes, true)
+      .eq($.no, false)
+      .eq($.binary[2], 3);
+
+    await $check`values are encoded in the most compact form`
+      .value(hex(encodeMessagePack({ a: [1, -1, 'b', null] })))
+      .eq($, '81a1619401ffa162c0');
+
+    await $check`dates are encoded as they are in JSON and undefined members are skipped`
+      .value(decodeMessagePack(encodeMessagePack({ when: new Date(0), missing: undefined })))
+      .eq($.when, '1970-01-01T00:00:00.000Z')
+      .eq($.missing, undefined);
+
+    await $check`timestamp extensions are decoded as dates`
+      .value(decodeMessagePack(new Uint8Array([0xd6, 0xff, 0x00, 0x00, 0x00, 0x3c])).getTime())
+      .eq($, 60000);
+
+    const packed = decodeMessagePack(encodeMessagePack({ name: 'x', ['__proto__']: { isAdmin: true } }));
+    await $check`a __proto__ key is decoded as a member and not as the prototype`
+      .value({ prototype: Object.getPrototypeOf(packed) === Object.prototype, isAdmin: packed.isAdmin, member: Object.hasOwn(packed, '__proto__') })
+      .eq($.prototype, true)
+      .eq($.isAdmin, undefined)
+      .eq($.member, true);
+
+    let error = null;
+    try {
+      decodeMessagePack(new Uint8Array([0x92, 0x01]));
+    } catch (exception) {
+      error = exception;
+    }
+
+    await $check`truncated data is an error`
+      .value(error)
+      .instanceof($, Error);
+  },
+
+
+  /****************************************************************************/
+
+
+  "CBOR": async () => {
+    await $check`values round trip through CBOR`
+      .value(decodeCBOR(encodeCBOR(SAMPLE)))
+      .eq($.small, 5)
+      .eq($.negative, -5)
+      .eq($.byte, 200)
+      .eq($.short, -200)
+      .eq($.word, 70000)
+      .eq($.long, 2 ** 40)
+      .eq($.negativeLong, -(2 ** 40))
+      .eq($.float, 1.5)
+      .eq($.text, SAMPLE.text)
+      .eq($.list[3].four, 4)
+      .eq($.many.length, 20)
+      .eq($.empty, null)
+      .eq($.yes, true)
+      .eq($.no, false)
+      .eq($.binary[2], 3);
+
+    await $check`values are encoded in the preferred serialization`
+      .value(hex(encodeCBOR({ a: [1, -1, 'b', null, 1000] })))
+      .eq($, 'a161618501206162f61903e8');
+
+    await $check`indefinite length items are decoded`
+      .value(decodeCBOR(new Uint8Array([0xbf, 0x61, 0x61, 0x9f, 0x01, 0xff, 0xff])))
+      .eq($.a[0], 1);
+
+    await $check`half precision floats are decoded`
+      .value(decodeCBOR(new Uint8Array([0xf9, 0x3e, 0x00])))
+      .eq($, 1.5);
+
+    await $check`epoch date tags are decoded as dates`
+      .value(decodeCBOR(new Uint8Array([0xc1, 0x18, 0x3c])).getTime())
+      .eq($, 60000);
+
+    const tagged = decodeCBOR(encodeCBOR({ name: 'x', ['__proto__']: { isAdmin: true } }));
+    await $check`a __proto__ key is decoded as a member and not as the prototype`
+      .value({ prototype: Object.getPrototypeOf(tagged) === Object.prototype, isAdmin: tagged.isAdmin, member: Object.hasOwn(tagged, '__proto__') })
+      .eq($.prototype, true)
+      .eq($.isAdmin, undefined)
+      .eq($.member, true);
+  },
+
+
+  /****************************************************************************/
+
+
+  "CSV": async () => {
+    const rows = [{ id: 1, name: 'plain' }, { id: 2, name: 'has, "quotes"', extra: { a: 1 } }];
+
+    await $check`rows of objects are encoded with a header`
+      .value(encodeCSV(rows))
+      .eq($, 'id,name,extra\r\n1,plain,\r\n2,"has, ""quotes""","{""a"":1}"\r\n');
+
+    await $check`data that is not tabular cannot be encoded`
+      .value(encodeCSV({ id: 1 }))
+      .eq($, undefined);
+
+    await $check`mixed rows cannot be encoded`
+      .value(encodeCSV([{ id: 1 }, 'two']))
+      .eq($, undefined);
+
+    const formulas = [{ name: '=HYPERLINK("http://x","y")', total: -5 }, { name: '@SUM(A1)', total: '+1' }];
+    await $check`strings that look like formulas are escaped`
+      .value(encodeCSV(formulas))
+      .eq($, 'name,total\r\n"\'=HYPERLINK(""http://x"",""y"")",-5\r\n\'@SUM(A1),\'+1\r\n');
+
+    await $check`formulas are left alone when escaping is turned off`
+      .value(encodeCSV([['=1+1']], { escapeFormulas: false }))
+      .eq($, '=1+1\r\n');
+
+    await $check`CSV is decoded into objects using the header`
+      .value(decodeCSV(encodeCSV(rows)))
+      .eq($.length, 2)
+      .eq($[1].name, 'has, "quotes"')
+      .eq($[0].extra, '');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Accept Negotiation": async () => {
+    const types = (accept) => [...acceptableFormats(accept)].map(format => format.mediaType);
+
+    await $check`all formats are acceptable without an Accept header, JSON first`
+      .value(types(undefined))
+      .eq($[0], 'application/json')
+      .eq($[5], 'text/csv');
+
+    await $check`formats are ordered by quality`
+      .value(types('application/json;q=0.5, application/cbor'))
+      .eq($[0], 'application/cbor')
+      .eq($[1], 'application/json')
+      .eq($.length, 2);
+
+    await $check`wildcards match and explicit exclusions are honored`
+      .value(types('application/json;q=0, application/*'))
+      .eq($[0], 'application/msgpack')
+      .eq($[3], 'application/cbor')
+      .eq($.length, 4);
+
+    await $check`nothing is acceptable when no format matches`
+      .value(types('text/html'))
+      .eq($.length, 0);
+  },
+});
+
+
+/******************************************************************************/
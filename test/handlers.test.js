@@ -1,5 +1,15 @@
 import { Collection, $check, $ } from "@axel669/aegis";
-import { success, fail, validate, SchemaError, body, json } from '../lib/handlers.js';
+import { Hono } from "hono";
+import {
+  success, fail, validate, SchemaError, HttpError, body, json, problemDetails,
+  createResponder, paginated, stream, NotFoundError, TooManyRequestsError,
+  registerErrors, getRegisteredErrors, createError, UnauthorizedError,
+  retryAfter, wwwAuthenticate, allowMethods, reportErrors, requestId,
+  structuredLogger, routeHandler, validateRequest, validationErrors,
+  registerMessages, translate, registerFormat, conditional, checkPreconditions,
+  computeETag, notAcceptable
+} from '../lib/handlers.js';
+import { encodeMessagePack, decodeMessagePack, decodeCBOR } from '../lib/formats.js';
 
 import * as joker from "@axel669/joker";
 
@@ -23,12 +33,13 @@ function wrapJoker(schemaDef) {
 /* A more robust mock context that mimics Hono's ability to store and retrieve
  * environment variables, set status codes, and importantly, get/set arbitrary
  * values in the context (which is required for the verify middleware). */
-const mockCtx = (env = {}) => {
+const mockCtx = (env = {}, url = 'http://localhost/items') => {
   const store = new Map();
   let currentStatus = 200;
 
   return {
     env,
+    req: { url },
 
     // Emulate Hono's context storage
     set: (key, value) => store.set(key, value),
@@ -36,12 +47,20 @@ const mockCtx = (env = {}) => {
 
     // Emulate response helpers
     status: (code) => { currentStatus = code; },
-    json: (payload) => ({
+    json: (payload, status, headers) => ({
       ...payload,
 
-      // We attach the status here so we can verify it in tests, even though
-      // Hono sends it via the Response object.
-      _httpStatus: currentStatus
+      // We attach the status and headers here so we can verify them in tests,
+      // even though Hono sends them via the Response object.
+      _httpStatus: status ?? currentStatus,
+      _headers: headers
+    }),
+
+    // Streamed responses need an actual body, so for those we generate a real
+    // response object.
+    body: (data, status, headers) => new Response(data, {
+      status: status ?? currentStatus,
+      headers
     })
   };
 };
@@ -146,6 +165,173 @@ export default Collection`Response Handlers`({
   /****************************************************************************/
 
 
+  "Paginated Responses": async () => {
+    const ctx = mockCtx({}, 'http://localhost/items?search=abc&limit=2');
+
+    await $check`paginated() adds offset pagination with links`
+      .value(paginated(ctx, "Items", [1, 2], { offset: 2, limit: 2, total: 6 }))
+      .eq($.success, true)
+      .eq($.data.length, 2)
+      .eq($.meta.pagination.type, 'offset')
+      .eq($.meta.pagination.offset, 2)
+      .eq($.meta.pagination.total, 6)
+      .eq($.meta.pagination.next, 'http://localhost/items?search=abc&limit=2&offset=4')
+      .eq($.meta.pagination.prev, 'http://localhost/items?search=abc&limit=2&offset=0');
+
+    await $check`paginated() has no next link on the last offset page`
+      .value(paginated(ctx, "Items", [5, 6], { offset: 4, limit: 2, total: 6 }))
+      .eq($.meta.pagination.next, null);
+
+    await $check`paginated() assumes more items on a full page with no total`
+      .value(paginated(ctx, "Items", [1, 2], { limit: 2 }))
+      .eq($.meta.pagination.total, undefined)
+      .eq($.meta.pagination.prev, null)
+      .eq($.meta.pagination.next, 'http://localhost/items?search=abc&limit=2&offset=2');
+
+    await $check`paginated() adds cursor pagination with links`
+      .value(paginated(ctx, "Items", [1, 2], { cursor: 'abc', nextCursor: 'def', limit: 2 }))
+      .eq($.meta.pagination.type, 'cursor')
+      .eq($.meta.pagination.cursor, 'abc')
+      .eq($.meta.pagination.nextCursor, 'def')
+      .eq($.meta.pagination.next, 'http://localhost/items?search=abc&limit=2&cursor=def')
+      .eq($.meta.pagination.prev, null);
+
+    // The result validator should apply to the whole paginated envelope.
+    await validate('result', wrapJoker({
+      root: {
+        success: "bool",
+        status: "number",
+        message: "string",
+        "data[]": { id: "number" },
+        meta: {
+          pagination: { type: "string", limit: "number", "?next": "string" }
+        }
+      }
+    }))(ctx, async () => {});
+
+    await $check`paginated() validates and masks the full envelope`
+      .value(paginated(ctx, "Items", [{ id: 1, secret: true }], { limit: 2 }))
+      .eq($.data[0].id, 1)
+      .eq($.data[0].secret, undefined)
+      .eq($.meta.pagination.limit, 2)
+      .eq($.meta.pagination.offset, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Streamed Responses": async () => {
+    const ctx = mockCtx();
+
+    // An async generator that produces the given items, optionally throwing
+    // an error at the end.
+    async function* generate(items, error) {
+      for (const item of items) {
+        yield item;
+      }
+      if (error !== undefined) {
+        throw error;
+      }
+    }
+
+    let response = await stream(ctx, "Items", generate([{ id: 1 }, { id: 2 }]));
+
+    await $check`stream() generates a response`
+      .value(response)
+      .isResponseWithStatus($, 200);
+
+    await $check`stream() generates NDJSON by default`
+      .value(response.headers.get('Content-Type'))
+      .eq($, 'application/x-ndjson');
+
+    await $check`stream() writes one item per line`
+      .value(response.text())
+      .eq($, '{"id":1}\n{"id":2}\n');
+
+    response = await stream(ctx, "Items", [1, 2, 3], { format: 'array' });
+
+    await $check`stream() can generate a JSON array from a sync iterable`
+      .value(response.text())
+      .eq($, '[1,2,3]');
+
+    response = await stream(ctx, "Items", generate([1, 2]), { format: 'array', envelope: true });
+
+    await $check`stream() can wrap the array in the envelope`
+      .value(response.json())
+      .eq($.success, true)
+      .eq($.message, 'Items')
+      .eq($.data.length, 2)
+      .eq($.data[1], 2);
+
+    // Capture the log entries and error reports for errors in the stream.
+    const logs = [];
+    const reports = [];
+    ctx.set('__cf_requests_logger', entry => logs.push(entry));
+    await reportErrors((err, c, info) => reports.push(info))(ctx, async () => {});
+
+    response = await stream(ctx, "Items", generate([{ id: 1 }], new Error('cursor died')));
+
+    await $check`stream() ends with an error record when the iterator throws`
+      .value(response.text())
+      .eq($, '{"id":1}\n{"success":false,"status":500,"message":"cursor died"}\n');
+
+    await $check`errors in the stream are logged`
+      .value(logs.find(entry => entry.message === 'cursor died'))
+      .eq($.level, 'error')
+      .eq($.status, 500)
+      .eq($.error, 'Error');
+
+    await $check`errors in the stream are reported`
+      .value(reports)
+      .eq($.length, 1)
+      .eq($[0].classification, 'unknown')
+      .eq($[0].status, 500);
+
+    // With safe errors, the details of the error are hidden from the record and
+    // only written to the log.
+    const safeCtx = mockCtx({ CF_REQUESTS_SAFE_ERRORS: 'true' });
+    safeCtx.set('__cf_requests_logger', entry => logs.push(entry));
+
+    response = await stream(safeCtx, "Items", generate([], new Error('D1_ERROR: no such table: users_secret')));
+    const [record] = (await response.text()).split('\n').map(line => line && JSON.parse(line));
+
+    await $check`stream() hides the details of errors in safe mode`
+      .value(record)
+      .eq($.status, 500)
+      .eq($.message, 'Internal Server Error')
+      .isString($.errorId);
+
+    await $check`the hidden details are logged under the error id`
+      .value(logs.find(entry => entry.errorId === record.errorId))
+      .eq($.errorMessage, 'D1_ERROR: no such table: users_secret');
+
+    // Set up a result validator, which applies to each item.
+    await validate('result', wrapJoker({ root: { id: "number" } }))(ctx, async () => {});
+
+    response = await stream(ctx, "Items", generate([{ id: 1, secret: 'x' }, { id: 'bad' }, { id: 3 }]), {
+      format: 'array', envelope: true
+    });
+
+    const result = await response.json();
+
+    await $check`stream() validates and masks each item`
+      .value(result.data[0])
+      .eq($.id, 1)
+      .eq($.secret, undefined);
+
+    await $check`stream() stops at an item that fails validation`
+      .value(result.data)
+      .eq($.length, 2)
+      .eq($[1].success, false)
+      .eq($[1].status, 500)
+      .eq($[1].data[0], "item.id is not a number (got 'bad')");
+  },
+
+
+  /****************************************************************************/
+
+
   "Failure Responses": async () => {
     const ctx = mockCtx();
 
@@ -170,6 +356,1170 @@ export default Collection`Response Handlers`({
   /****************************************************************************/
 
 
+  "Error Codes": async () => {
+    const ctx = mockCtx();
+
+    const handler = body(async (c) => {
+      throw new HttpError("Item is locked", 409, { code: 'ITEM_LOCKED', details: { lockedBy: 'bob' } });
+    });
+
+    await $check`body() includes the code and details of an HttpError`
+      .value(handler(ctx))
+      .eq($.success, false)
+      .eq($.status, 409)
+      .eq($.code, 'ITEM_LOCKED')
+      .eq($.data.lockedBy, 'bob');
+
+    await $check`error subclasses have a default message, status and code`
+      .value(new NotFoundError())
+      .instanceof($, HttpError)
+      .eq($.name, 'NotFoundError')
+      .eq($.message, 'Not Found')
+      .eq($.status, 404)
+      .eq($.code, 'NOT_FOUND');
+
+    await $check`error subclasses accept a message and options`
+      .value(new TooManyRequestsError("Slow down", { code: 'SLOW_DOWN' }))
+      .eq($.message, 'Slow down')
+      .eq($.status, 429)
+      .eq($.code, 'SLOW_DOWN');
+
+    registerErrors({
+      ACCOUNT_SUSPENDED: { status: 403, message: 'The account is suspended', description: 'Suspended for abuse' },
+    });
+
+    await $check`registered errors can be retrieved`
+      .value(getRegisteredErrors().find(entry => entry.code === 'ACCOUNT_SUSPENDED'))
+      .eq($.status, 403)
+      .eq($.description, 'Suspended for abuse');
+
+    const registeredHandler = body(async (c) => {
+      throw createError('ACCOUNT_SUSPENDED', { details: { until: '2030-01-01' } });
+    });
+
+    await $check`errors created from a registered code render consistently`
+      .value(registeredHandler(ctx))
+      .eq($.status, 403)
+      .eq($.message, 'The account is suspended')
+      .eq($.code, 'ACCOUNT_SUSPENDED')
+      .eq($.data.until, '2030-01-01');
+
+    let error = null;
+    try {
+      createError('NOT_A_REAL_CODE');
+    } catch (exception) {
+      error = exception;
+    }
+
+    await $check`creating an error for an unknown code throws`
+      .value(error)
+      .instanceof($, Error);
+
+    await problemDetails()(ctx, async () => {});
+
+    await $check`the code is an extension member of a problem details document`
+      .value(handler(ctx))
+      .eq($.code, 'ITEM_LOCKED')
+      .eq($.data.lockedBy, 'bob');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Error Headers": async () => {
+    const ctx = mockCtx();
+
+    await $check`fail() applies the provided headers`
+      .value(fail(ctx, "Slow down", 429, undefined, { headers: retryAfter(30) }))
+      .eq($.success, false)
+      .eq($._headers['Retry-After'], '30')
+      .eq($._httpStatus, 429);
+
+    const handler = body(async (c) => {
+      throw new UnauthorizedError("Token expired", {
+        headers: wwwAuthenticate('Bearer', { realm: 'api', error: 'invalid_token' })
+      });
+    });
+
+    await $check`body() applies the headers of an HttpError`
+      .value(handler(ctx))
+      .eq($.status, 401)
+      .eq($._headers['WWW-Authenticate'], 'Bearer realm="api", error="invalid_token"');
+
+    await $check`retryAfter() accepts a date`
+      .value(retryAfter(new Date(Date.UTC(2030, 0, 1))))
+      .eq($['Retry-After'], 'Tue, 01 Jan 2030 00:00:00 GMT');
+
+    await $check`retryAfter() rounds seconds up`
+      .value(retryAfter(1.2))
+      .eq($['Retry-After'], '2');
+
+    await $check`wwwAuthenticate() escapes parameter values`
+      .value(wwwAuthenticate('Basic', { realm: 'say "hi"' }))
+      .eq($['WWW-Authenticate'], 'Basic realm="say \\"hi\\""');
+
+    await $check`allowMethods() lists the methods`
+      .value(allowMethods(['get', 'post']))
+      .eq($.Allow, 'GET, POST');
+
+    await problemDetails()(ctx, async () => {});
+
+    await $check`headers are applied to problem details documents`
+      .value(handler(ctx))
+      .eq($._headers['Content-Type'], 'application/problem+json')
+      .eq($._headers['WWW-Authenticate'], 'Bearer realm="api", error="invalid_token"');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Error Reporting": async () => {
+    const ctx = mockCtx();
+
+    // Capture the promises given to waitUntil() so we can wait for them.
+    const pending = [];
+    ctx.executionCtx = { waitUntil: promise => pending.push(promise) };
+
+    const reports = [];
+    await reportErrors((err, c, info) => reports.push({ err, info }))(ctx, async () => {});
+
+    const failing = body(async (c) => { throw new Error("database exploded"); });
+    const notFound = body(async (c) => { throw new NotFoundError(); });
+    const badSchema = body(async (c) => { throw new SchemaError("bad output", 500, []); });
+
+    await $check`body() still returns the failure response`
+      .value(failing(ctx))
+      .eq($.status, 500)
+      .eq($.message, 'database exploded');
+
+    await notFound(ctx);
+    await badSchema(ctx);
+    await Promise.all(pending);
+
+    await $check`only errors of status 500 and above are reported by default`
+      .value(reports)
+      .eq($.length, 2)
+      .eq($[0].err.message, 'database exploded')
+      .eq($[0].info.classification, 'unknown')
+      .eq($[0].info.status, 500)
+      .eq($[1].info.classification, 'schema');
+
+    await $check`reports are handed to waitUntil()`
+      .value(pending)
+      .eq($.length, 2);
+
+    // A body specific reporter with a filter that reports everything.
+    const bodyReports = [];
+    const custom = body(async (c) => { throw new NotFoundError(); }, {
+      onError: (err, c, info) => bodyReports.push(info),
+      filter: () => true,
+    });
+
+    await custom(ctx);
+    await Promise.all(pending);
+
+    await $check`body() options override the context reporter`
+      .value(bodyReports)
+      .eq($.length, 1)
+      .eq($[0].classification, 'http')
+      .eq($[0].status, 404);
+
+    await $check`the context reporter is not used when body() has one`
+      .value(reports)
+      .eq($.length, 2);
+
+    // A reporter that fails should not cause the handler to fail.
+    const brokenCtx = mockCtx();
+    const logs = [];
+    brokenCtx.set('__cf_requests_logger', entry => logs.push(entry));
+    await reportErrors(() => { throw new Error("reporter broke"); })(brokenCtx, async () => {});
+
+    await $check`a failing reporter does not affect the response`
+      .value(failing(brokenCtx))
+      .eq($.status, 500)
+      .eq($.message, 'database exploded');
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await $check`a failing reporter is logged`
+      .value(logs.find(entry => entry.message === 'error reporter failed'))
+      .eq($.level, 'error')
+      .eq($.errorMessage, 'reporter broke');
+
+    // A route can register its own reporter in its metadata.
+    const app = new Hono();
+    const routeReports = [];
+    app.use(reportErrors((err, c, info) => reports.push(info)));
+    app.get('/route', ...routeHandler(
+      { onError: (err, c, info) => routeReports.push(info), filter: () => true },
+      async (c) => { throw new NotFoundError(); },
+    ));
+
+    await app.request('/route', {}, {});
+    await $check`routeHandler() metadata can register a reporter for the route`
+      .value(routeReports)
+      .eq($.length, 1)
+      .eq($[0].status, 404)
+      .eq($[0].route, '/route');
+
+    await $check`the route reporter is used in place of the global one`
+      .value(reports)
+      .eq($.length, 2);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Request Identifiers and Logging": async () => {
+    const logs = [];
+    const app = new Hono();
+
+    app.use(requestId({ envelope: true }));
+    app.use(structuredLogger(entry => logs.push(entry)));
+
+    app.get('/ok', ...routeHandler(async (ctx) => success(ctx, 'fine')));
+    app.post('/items/:id', ...routeHandler(
+      validate('json', wrapJoker({ root: { name: "string" } })),
+      async (ctx) => success(ctx, 'created'),
+    ));
+    app.get('/broken', ...routeHandler(async (ctx) => { throw new TypeError('bad thing'); }));
+
+    let response = await app.request('/ok', { headers: { 'X-Request-Id': 'abc-123' } }, {});
+
+    await $check`the incoming request id is echoed back`
+      .value(response.headers.get('X-Request-Id'))
+      .eq($, 'abc-123');
+
+    await $check`the request id is included in the envelope`
+      .value(response.json())
+      .eq($.success, true)
+      .eq($.requestId, 'abc-123');
+
+    await $check`completed requests are logged`
+      .value(logs[0])
+      .eq($.level, 'info')
+      .eq($.requestId, 'abc-123')
+      .eq($.route, '/ok')
+      .eq($.status, 200)
+      .gt($.duration, -1);
+
+    logs.length = 0;
+    response = await app.request('/items/12', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'cf-ray': '8f00-SJC' },
+      body: JSON.stringify({ name: 12 }),
+    }, {});
+
+    await $check`the cf-ray header is used when there is no request id`
+      .value(response.json())
+      .eq($.status, 422)
+      .eq($.requestId, '8f00-SJC');
+
+    await $check`validation failures are logged`
+      .value(logs[0])
+      .eq($.level, 'warn')
+      .eq($.status, 422)
+      .eq($.target, 'json')
+      .eq($.route, '/items/:id')
+      .isArray($.errors);
+
+    logs.length = 0;
+    response = await app.request('/broken', {}, {});
+
+    await $check`a request id is generated when none is available`
+      .value(response.headers.get('X-Request-Id'))
+      .eq($.length, 36);
+
+    await $check`exceptions are logged with the error name`
+      .value(logs[0])
+      .eq($.level, 'error')
+      .eq($.status, 500)
+      .eq($.error, 'TypeError')
+      .eq($.message, 'bad thing');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Combined Validation": async () => {
+    const app = new Hono();
+
+    app.post('/items/:id', ...routeHandler(
+      validateRequest({
+        param: wrapJoker({ root: { id: { "joker.type": "string", format: /^\d+$/ } } }),
+        query: wrapJoker({ root: { "?page": "string", verbose: "string" } }),
+        json: wrapJoker({ root: { name: "string" } }),
+      }),
+      async (ctx) => success(ctx, 'created', {
+        param: ctx.req.valid('param'),
+        query: ctx.req.valid('query'),
+        json: ctx.req.valid('json'),
+      }),
+    ));
+
+    const post = (path, payload) => app.request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    }, {});
+
+    let response = await post('/items/abc', { name: 12 });
+    await $check`all failing targets are reported in a single 422`
+      .value(response.status)
+      .eq($, 422);
+
+    const body = await response.json();
+    await $check`the failure names each failing target`
+      .value(body)
+      .eq($.message, 'request param, query, json data failed schema validation')
+      .eq($.data.length, 3);
+
+    await $check`the errors are tagged with their target and field`
+      .value(body.data.map(error => error.split(' ')[0]))
+      .eq($[0], 'param.id')
+      .eq($[1], 'query.verbose')
+      .eq($[2], 'json.name');
+
+    response = await post('/items/42?verbose=yes&extra=1', { name: 'widget', other: true });
+    await $check`on success each target is available via ctx.req.valid()`
+      .value(await response.json())
+      .eq($.status, 200)
+      .eq($.data.param.id, '42')
+      .eq($.data.query.verbose, 'yes')
+      .eq($.data.query.extra, undefined)
+      .eq($.data.json.name, 'widget')
+      .eq($.data.json.other, undefined);
+
+    let error = null;
+    try {
+      validateRequest({ result: wrapJoker({ root: "string" }) });
+    } catch (exception) {
+      error = exception;
+    }
+
+    await $check`only input data types can be validated`
+      .value(error)
+      .instanceof($, Error);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Body Checks": async () => {
+    const app = new Hono();
+    const schema = wrapJoker({ root: { name: "string" } });
+
+    app.post('/json', ...routeHandler(
+      validate('json', schema, { maxSize: 32, contentTypes: true }),
+      async (ctx) => success(ctx, 'ok', ctx.req.valid('json')),
+    ));
+    app.post('/form', ...routeHandler(
+      validate('form', schema, { contentTypes: ['application/x-www-form-urlencoded'] }),
+      async (ctx) => success(ctx, 'ok', ctx.req.valid('form')),
+    ));
+    app.post('/plain', ...routeHandler(validate('json', schema), async (ctx) => success(ctx, 'ok')));
+    app.post('/combined', ...routeHandler(
+      validateRequest({ json: schema }, { maxSize: 8 }),
+      async (ctx) => success(ctx, 'ok'),
+    ));
+
+    const post = (path, body, type='application/json') => app.request(path, {
+      method: 'POST',
+      headers: type ? { 'Content-Type': type } : {},
+      body,
+    }, {});
+
+    let response = await post('/json', '{"name":"widget"}');
+    await $check`bodies within the limits are validated`
+      .value(await response.json())
+      .eq($.status, 200)
+      .eq($.data.name, 'widget');
+
+    response = await post('/json', JSON.stringify({ name: 'a name that is far too long' }));
+    await $check`bodies over the size limit fail with a 413 envelope`
+      .value(await response.json())
+      .eq($.success, false)
+      .eq($.status, 413)
+      .eq($.code, 'PAYLOAD_TOO_LARGE')
+      .eq($.message, 'request json body is larger than 32 bytes');
+
+    // A streamed body has no Content-Length, so the size is only known as it
+    // is read; this one would go on for far longer than the limit.
+    let pulled = 0;
+    const streamed = (chunks) => new ReadableStream({
+      pull(controller) {
+        pulled++;
+        if (pulled > chunks.length) {
+          controller.close();
+        } else {
+          controller.enqueue(new TextEncoder().encode(chunks[pulled - 1]));
+        }
+      }
+    });
+    const postStream = (chunks) => app.request('/json', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: streamed(chunks),
+      duplex: 'half',
+    }, {});
+
+    response = await postStream(['{"name":"', ...Array(1000).fill('x'.repeat(16)), '"}']);
+    await $check`streamed bodies over the size limit fail with a 413 envelope`
+      .value(await response.json())
+      .eq($.status, 413)
+      .eq($.code, 'PAYLOAD_TOO_LARGE');
+
+    await $check`streamed bodies stop being read once they are over the limit`
+      .value(pulled)
+      .lt($, 10);
+
+    pulled = 0;
+    response = await postStream(['{"name":', '"widget"}']);
+    await $check`streamed bodies within the limit are validated`
+      .value(await response.json())
+      .eq($.status, 200)
+      .eq($.data.name, 'widget');
+
+    response = await post('/json', 'name=widget', 'application/x-www-form-urlencoded');
+    await $check`bodies of the wrong type fail with a 415 envelope`
+      .value(await response.json())
+      .eq($.status, 415)
+      .eq($.code, 'UNSUPPORTED_MEDIA_TYPE')
+      .eq($.message, 'request json body cannot be application/x-www-form-urlencoded');
+
+    response = await post('/json', '{"name":"x"}', null);
+    await $check`bodies with no type are not allowed when types are restricted`
+      .value(response.status)
+      .eq($, 415);
+
+    response = await post('/json', '{"name":', 'application/json; charset=utf-8');
+    await $check`malformed JSON fails with a 400 envelope that says why`
+      .value(await response.json())
+      .eq($.status, 400)
+      .eq($.code, 'MALFORMED_BODY');
+
+    response = await post('/plain', '{"name":');
+    await $check`malformed JSON is detected without any options`
+      .value(await response.json())
+      .eq($.status, 400)
+      .eq($.code, 'MALFORMED_BODY');
+
+    response = await post('/form', 'name=widget', 'application/x-www-form-urlencoded');
+    await $check`form bodies of an allowed type are validated`
+      .value(await response.json())
+      .eq($.data.name, 'widget');
+
+    const form = new FormData();
+    form.append('name', 'widget');
+    response = await app.request('/form', { method: 'POST', body: form }, {});
+    await $check`form bodies of other types are rejected`
+      .value(response.status)
+      .eq($, 415);
+
+    response = await post('/combined', '{"name":"widget"}');
+    await $check`validateRequest() applies the limits to the body`
+      .value(response.status)
+      .eq($, 413);
+
+    response = await post('/combined', new Uint8Array([0xff]), 'application/cbor');
+    await $check`validateRequest() rejects bodies that cannot be decoded`
+      .value(await response.json())
+      .eq($.status, 400)
+      .eq($.code, 'MALFORMED_BODY');
+  },
+
+
+  /****************************************************************************/
+
+
+  "File Uploads": async () => {
+    const app = new Hono();
+    const schema = wrapJoker({ root: { title: "string" } });
+    const objects = new Map();
+    const bucket = {
+      put: async (key, value, options) => objects.set(key, { bytes: new Uint8Array(await value.arrayBuffer()), options }),
+      delete: async (key) => objects.delete(key),
+    };
+
+    const files = {
+      avatar: { minCount: 1, maxSize: 64, types: ['image/png', 'image/jpeg'] },
+      'attachments[]': { maxCount: 2, types: ['text/*'] },
+    };
+
+    app.post('/local', ...routeHandler(validate('form', schema, { files }), async (ctx) => {
+      const data = ctx.req.valid('form');
+      return success(ctx, 'ok', { title: data.title, avatar: data.avatar.name, attachments: data['attachments[]'].length });
+    }));
+    app.post('/stored', ...routeHandler(
+      validate('form', schema, { files, bucket: (ctx) => ctx.env.BUCKET, key: (file, field) => `${field}/${file.name}` }),
+      async (ctx) => success(ctx, 'ok', ctx.req.valid('form')),
+    ));
+
+    const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0];
+    const upload = (path, fields) => {
+      const form = new FormData();
+      for (const [name, value] of fields) {
+        form.append(name, value);
+      }
+      return app.request(path, { method: 'POST', body: form }, { BUCKET: bucket });
+    }
+    const png = (name='avatar.png', bytes=PNG, type='image/png') => new File([new Uint8Array(bytes)], name, { type });
+    const text = (name) => new File(['some text'], name, { type: 'text/plain' });
+
+    let response = await upload('/local', [['title', 'mine'], ['avatar', png()], ['attachments[]', text('a.txt')], ['attachments[]', text('b.txt')]]);
+    await $check`accepted files are available with the other fields`
+      .value(await response.json())
+      .eq($.status, 200)
+      .eq($.data.title, 'mine')
+      .eq($.data.avatar, 'avatar.png')
+      .eq($.data.attachments, 2);
+
+    response = await upload('/local', [['title', 'mine'], ['attachments[]', text('a.txt')], ['attachments[]', text('b.txt')], ['attachments[]', text('c.txt')]]);
+    const counts = await response.json();
+    await $check`file counts are enforced as validation errors`
+      .value(counts)
+      .eq($.status, 422)
+      .eq($.data.length, 2)
+      .eq($.data[0], "item.avatar: at least 1 file(s) are required (got '0')")
+      .eq($.data[1], "item.attachments[]: at most 2 file(s) are allowed (got '3')");
+
+    response = await upload('/local', [['title', 'mine'], ['avatar', png('big.png', [...PNG, ...new Array(64).fill(0)])]]);
+    await $check`file sizes are enforced`
+      .value((await response.json()).data[0])
+      .eq($, "item.avatar: is larger than 64 bytes (got 'big.png')");
+
+    response = await upload('/local', [['title', 'mine'], ['avatar', png('fake.png', [1, 2, 3, 4])]]);
+    await $check`files whose content does not match their type are rejected`
+      .value((await response.json()).data[0])
+      .eq($, "item.avatar: content does not match the type image/png (got 'fake.png')");
+
+    response = await upload('/local', [['title', 'mine'], ['avatar', text('avatar.txt')]]);
+    await $check`files must have one of the allowed types`
+      .value((await response.json()).data[0])
+      .eq($, "item.avatar: must be one of image/png, image/jpeg (got 'text/plain')");
+
+    response = await upload('/local', [['title', 'mine'], ['avatar', png()], ['attachments[]', png('hidden.txt', PNG, 'text/plain')]]);
+    await $check`the type of a file comes from its content when it is recognized`
+      .value((await response.json()).data[0])
+      .eq($, "item.attachments[]: must be one of text/* (got 'image/png')");
+
+    response = await upload('/local', [['title', 7], ['avatar', 'not a file']]);
+    await $check`fields that should be files must be files`
+      .value((await response.json()).data[0])
+      .eq($, "item.avatar: is not a file (got 'not a file')");
+
+    response = await upload('/stored', [['title', 'mine'], ['avatar', png()]]);
+    await $check`stored files are replaced by their object details`
+      .value(await response.json())
+      .eq($.data.avatar.key, 'avatar/avatar.png')
+      .eq($.data.avatar.type, 'image/png')
+      .eq($.data.avatar.size, 12)
+      .eq($.data['attachments[]'].length, 0);
+
+    await $check`files are stored in the bucket with their type and name`
+      .value(objects.get('avatar/avatar.png'))
+      .eq($.bytes.length, 12)
+      .eq($.options.httpMetadata.contentType, 'image/png')
+      .eq($.options.customMetadata.filename, 'avatar.png');
+
+    objects.clear();
+    await upload('/stored', [['avatar', png()]]);
+    await $check`nothing is stored when validation fails`
+      .value(objects.size)
+      .eq($, 0);
+
+    bucket.put = async (key, value) => {
+      if (key.startsWith('attachments')) throw new Error('bucket is full');
+      objects.set(key, value);
+    };
+    response = await upload('/stored', [['title', 'mine'], ['avatar', png()], ['attachments[]', text('a.txt')]]);
+    await $check`stored files are removed again when a later file can't be stored`
+      .value(objects.size)
+      .eq($, 0);
+
+    await $check`a failure to store files is a failure envelope`
+      .value(await response.json())
+      .eq($.success, false)
+      .eq($.status, 500)
+      .eq($.code, 'FILE_STORAGE_FAILED')
+      .eq($.message, 'uploaded files could not be stored');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Structured Errors": async () => {
+    const app = new Hono();
+    const schema = wrapJoker({ root: { user: { age: "number" } } });
+
+    app.use('/structured/*', validationErrors());
+    app.use('/custom/*', validationErrors((error, original) => `${error.target}:${error.path}:${original.type}`));
+
+    app.post('/structured/input', ...routeHandler(validate('json', schema), async (ctx) => success(ctx, 'ok')));
+    app.post('/structured/combined', ...routeHandler(
+      validateRequest({ query: wrapJoker({ root: { page: "string" } }), json: schema }),
+      async (ctx) => success(ctx, 'ok'),
+    ));
+    app.get('/structured/result', ...routeHandler(
+      validate('result', wrapJoker({ root: { data: { id: "number" } } })),
+      async (ctx) => success(ctx, 'ok', { id: 'nope' }),
+    ));
+    app.post('/custom/input', ...routeHandler(validate('json', schema), async (ctx) => success(ctx, 'ok')));
+    app.post('/text/input', ...routeHandler(
+      validate('json', schema, { errors: 'structured' }),
+      async (ctx) => success(ctx, 'ok'),
+    ));
+
+    const post = (path, payload) => app.request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    }, {});
+
+    await $check`input validation errors are structured`
+      .value((await (await post('/structured/input', { user: { age: 'old' } })).json()).data[0])
+      .eq($.target, 'json')
+      .eq($.path, 'user.age')
+      .eq($.message, 'item.user.age is not a number')
+      .eq($.expected, 'number')
+      .eq($.received, 'old');
+
+    const combined = (await (await post('/structured/combined', { user: {} })).json()).data;
+    await $check`combined validation errors are structured per target`
+      .value(combined)
+      .eq($.length, 2)
+      .eq($[0].target, 'query')
+      .eq($[0].path, 'page')
+      .eq($[1].target, 'json')
+      .eq($[1].path, 'user.age');
+
+    await $check`result schema errors caught by body() are structured`
+      .value((await (await app.request('/structured/result', {}, {})).json()).data[0])
+      .eq($.target, 'result')
+      .eq($.path, 'data.id')
+      .eq($.received, 'nope');
+
+    await $check`a formatter function is used to format each error`
+      .value((await (await post('/custom/input', { user: { age: 'old' } })).json()).data[0])
+      .eq($, 'json:user.age:number.$');
+
+    await $check`the format can be set for a single validator`
+      .value((await (await post('/text/input', { user: { age: 'old' } })).json()).data[0])
+      .eq($.path, 'user.age');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Localized Messages": async () => {
+    registerMessages('fr', {
+      NOT_FOUND: "L'élément {id} est introuvable",
+      VALIDATION_FAILED: 'les données {target} de la requête sont invalides',
+      'VALIDATION_ERROR:number': "{path} n'est pas un nombre",
+      VALIDATION_ERROR_TEXT: "{message} (reçu '{received}')",
+    });
+    registerMessages('de-AT', { NOT_FOUND: 'Nicht gefunden' });
+
+    const app = new Hono();
+    app.use('/ctx/*', async (ctx, next) => { ctx.set('locale', 'de-AT'); await next(); });
+
+    const notFound = async (ctx) => { throw new NotFoundError('Item 12 not found', { params: { id: 12 } }); };
+    app.get('/missing', ...routeHandler(notFound));
+    app.get('/ctx/missing', ...routeHandler(notFound));
+    app.get('/problem/missing', ...routeHandler(problemDetails(), notFound));
+    app.get('/varied', async (ctx) => fail(ctx, 'no', 404, undefined, { code: 'NOT_FOUND', headers: { Vary: 'Origin' } }));
+    app.post('/items', ...routeHandler(
+      validate('json', wrapJoker({ root: { age: "number" } })),
+      async (ctx) => success(ctx, 'ok'),
+    ));
+
+    let response = await app.request('/missing', { headers: { 'Accept-Language': 'en;q=0.5, fr-CA' } }, {});
+    let body = await response.json();
+    await $check`the message for the error code is used for the accepted locale`
+      .value(body)
+      .eq($.status, 404)
+      .eq($.code, 'NOT_FOUND')
+      .eq($.message, "L'élément 12 est introuvable");
+
+    await $check`translated failures declare their language and vary by it`
+      .value({ language: response.headers.get('Content-Language'), vary: response.headers.get('Vary') })
+      .eq($.language, 'fr')
+      .eq($.vary, 'Accept, Accept-Language');
+
+    response = await app.request('/varied', { headers: { 'Accept-Language': 'fr' } }, {});
+    await $check`a Vary given to fail() is kept when the failure is translated`
+      .value(response.headers.get('Vary'))
+      .eq($, 'Accept, Origin, Accept-Language');
+
+    response = await app.request('/problem/missing', { headers: { 'Accept-Language': 'fr' } }, {});
+    await $check`translated problem details declare their language and vary by it`
+      .value({ language: response.headers.get('Content-Language'), vary: response.headers.get('Vary') })
+      .eq($.language, 'fr')
+      .eq($.vary, 'Accept-Language');
+
+    response = await app.request('/missing', { headers: { 'Accept-Language': 'es, en' } }, {});
+    body = await response.json();
+    await $check`the original message is used when no locale matches`
+      .value(body.message)
+      .eq($, 'Item 12 not found');
+
+    await $check`untranslated failures do not declare a language`
+      .value(response.headers.get('Content-Language'))
+      .eq($, null);
+
+    body = await (await app.request('/ctx/missing', { headers: { 'Accept-Language': 'fr' } }, {})).json();
+    await $check`the locale context variable takes precedence`
+      .value(body.message)
+      .eq($, 'Nicht gefunden');
+
+    body = await (await app.request('/items', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': 'fr' },
+      body: JSON.stringify({ age: 'vieux' }),
+    }, {})).json();
+    await $check`validation failures and their errors are localized`
+      .value(body)
+      .eq($.message, 'les données json de la requête sont invalides')
+      .eq($.data[0], "age n'est pas un nombre (reçu 'vieux')");
+
+    await $check`translate() returns undefined for unknown keys`
+      .value(translate(mockCtx(), 'NOT_FOUND'))
+      .eq($, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Content Negotiation": async () => {
+    const app = new Hono();
+    const schema = wrapJoker({ root: { name: "string" } });
+
+    app.get('/items', ...routeHandler(async (ctx) => success(ctx, 'items', [{ id: 1, name: 'one' }, { id: 2, name: 'two' }])));
+    app.get('/item', ...routeHandler(async (ctx) => success(ctx, 'item', { id: 1 })));
+    app.get('/strict', ...routeHandler(notAcceptable(), async (ctx) => success(ctx, 'item', { id: 1 })));
+    app.get('/raw', ...routeHandler(async (ctx) => json(ctx, [{ id: 1 }])));
+    app.get('/missing', ...routeHandler(async (ctx) => { throw new NotFoundError(); }));
+    app.post('/items', ...routeHandler(validate('json', schema), async (ctx) => success(ctx, 'created', ctx.req.valid('json'))));
+
+    const get = (path, accept) => app.request(path, { headers: accept ? { 'Accept': accept } : {} }, {});
+    const bytes = async (response) => new Uint8Array(await response.arrayBuffer());
+
+    let response = await get('/item');
+    await $check`JSON is used when there is no Accept header`
+      .value(response.headers.get('Content-Type'))
+      .eq($, 'application/json');
+
+    await $check`responses vary by the Accept header`
+      .value(response.headers.get('Vary'))
+      .eq($, 'Accept');
+
+    response = await get('/item', 'application/msgpack');
+    await $check`success() is sent as MessagePack when asked for`
+      .value(response.headers.get('Content-Type'))
+      .eq($, 'application/msgpack');
+
+    await $check`the MessagePack body is the envelope`
+      .value(decodeMessagePack(await bytes(response)))
+      .eq($.success, true)
+      .eq($.data.id, 1);
+
+    response = await get('/raw', 'application/cbor');
+    await $check`json() is sent as CBOR when asked for`
+      .value(decodeCBOR(await bytes(response)))
+      .eq($[0].id, 1);
+
+    response = await get('/items', 'text/csv');
+    await $check`tabular data is sent as CSV when asked for`
+      .value(await response.text())
+      .eq($, 'id,name\r\n1,one\r\n2,two\r\n');
+
+    response = await get('/item', 'text/csv');
+    await $check`data that is not tabular is sent as JSON when it cannot be sent as CSV`
+      .value({ status: response.status, type: response.headers.get('Content-Type') })
+      .eq($.status, 200)
+      .eq($.type, 'application/json');
+
+    response = await get('/item', 'text/html');
+    await $check`requests that accept no known format are sent JSON`
+      .value(response.status)
+      .eq($, 200);
+
+    response = await get('/strict', 'text/csv');
+    await $check`strict negotiation fails when nothing acceptable is possible`
+      .value(response.status)
+      .eq($, 406);
+
+    await $check`the not acceptable failure is sent as JSON`
+      .value(await response.json())
+      .eq($.code, 'NOT_ACCEPTABLE');
+
+    response = await get('/item', 'text/csv, application/json;q=0.1');
+    await $check`a less preferred format is used when the preferred one cannot be`
+      .value(response.headers.get('Content-Type'))
+      .eq($, 'application/json');
+
+    response = await get('/missing', 'application/msgpack');
+    await $check`failures are sent in the requested format`
+      .value(decodeMessagePack(await bytes(response)))
+      .eq($.status, 404)
+      .eq($.code, 'NOT_FOUND');
+
+    registerFormat('text/plain', { serialize: (body) => `${body.message}` });
+    response = await get('/item', 'text/plain');
+    await $check`custom formats can be registered`
+      .value(await response.text())
+      .eq($, 'item');
+
+    response = await app.request('/items', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/msgpack' },
+      body: encodeMessagePack({ name: 'packed', extra: true }),
+    }, {});
+    await $check`validate() decodes MessagePack request bodies`
+      .value(await response.json())
+      .eq($.status, 200)
+      .eq($.data.name, 'packed')
+      .eq($.data.extra, undefined);
+
+    response = await app.request('/items', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/cbor' },
+      body: new Uint8Array([0xff]),
+    }, {});
+    await $check`malformed request bodies are rejected`
+      .value(response.status)
+      .eq($, 400);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Conditional Requests": async () => {
+    const app = new Hono();
+    const modified = new Date('2024-01-01T00:00:00Z');
+    let version = 1;
+
+    app.use('/item', conditional());
+    app.use('/weak', conditional({ weak: true }));
+    app.get('/item', ...routeHandler(async (ctx) => {
+      ctx.set('lastModified', modified);
+      return success(ctx, 'item', { id: 1, version });
+    }));
+    app.get('/weak', ...routeHandler(async (ctx) => json(ctx, { id: 1 })));
+    app.get('/plain', ...routeHandler(async (ctx) => success(ctx, 'item', { id: 1 })));
+    app.put('/item', ...routeHandler(async (ctx) => {
+      checkPreconditions(ctx, { etag: await computeETag({ version }) });
+      version++;
+      return success(ctx, 'updated');
+    }));
+
+    const get = (path, headers={}) => app.request(path, { headers }, {});
+    const put = (headers={}) => app.request('/item', { method: 'PUT', headers }, {});
+
+    let response = await get('/item');
+    const etag = response.headers.get('ETag');
+    await $check`responses carry a strong ETag when enabled`
+      .value(etag)
+      .isString($)
+      .eq($.length, 42);
+
+    await $check`the last modified date is sent when it is set`
+      .value(response.headers.get('Last-Modified'))
+      .eq($, modified.toUTCString());
+
+    await $check`the ETag is a hash of the response body`
+      .value(await computeETag(await response.text()))
+      .eq($, etag);
+
+    response = await get('/plain');
+    await $check`responses do not carry an ETag unless enabled`
+      .value(response.headers.get('ETag'))
+      .eq($, null);
+
+    response = await get('/item', { 'If-None-Match': `"other", ${etag}` });
+    await $check`a matching If-None-Match is not modified`
+      .value(response.status)
+      .eq($, 304);
+
+    await $check`the not modified response has the ETag and no body`
+      .value({ etag: response.headers.get('ETag'), body: await response.text() })
+      .eq($.etag, etag)
+      .eq($.body, '');
+
+    response = await get('/item', { 'If-None-Match': '"other"', 'If-Modified-Since': modified.toUTCString() });
+    await $check`If-Modified-Since is ignored when there is an If-None-Match`
+      .value(response.status)
+      .eq($, 200);
+
+    response = await get('/item', { 'If-Modified-Since': modified.toUTCString() });
+    await $check`an unmodified resource is not modified`
+      .value(response.status)
+      .eq($, 304);
+
+    response = await get('/item', { 'If-Modified-Since': 'Sun, 31 Dec 2023 00:00:00 GMT' });
+    await $check`a modified resource is sent`
+      .value(response.status)
+      .eq($, 200);
+
+    response = await get('/weak');
+    const weak = response.headers.get('ETag');
+    await $check`weak ETags can be used`
+      .value(weak)
+      .eq($, await computeETag({ id: 1 }, { weak: true }));
+
+    response = await get('/weak', { 'If-None-Match': weak.slice(2), 'Accept': 'application/cbor' });
+    await $check`weak ETags do not depend on the format`
+      .value(response.status)
+      .eq($, 304);
+
+    response = await put({ 'If-Match': await computeETag({ version }) });
+    await $check`a matching If-Match precondition succeeds`
+      .value(response.status)
+      .eq($, 200);
+
+    response = await put({ 'If-Match': await computeETag({ version: 1 }) });
+    await $check`a stale If-Match precondition fails`
+      .value(await response.json())
+      .eq($.status, 412)
+      .eq($.code, 'PRECONDITION_FAILED');
+
+    response = await put({ 'If-Match': await computeETag({ version }, { weak: true }) });
+    await $check`weak ETags never match If-Match preconditions`
+      .value(response.status)
+      .eq($, 412);
+
+    response = await put({ 'If-Match': '*' });
+    await $check`an If-Match of any version succeeds when the resource exists`
+      .value(response.status)
+      .eq($, 200);
+
+    await $check`there is no precondition without the headers`
+      .value((await put()).status)
+      .eq($, 200);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Error Schemas": async () => {
+    const app = new Hono();
+    const logs = [];
+    const errorSchemas = validate('error', {
+      404: wrapJoker({ root: { id: "int" } }),
+      422: { validate: (errors) => Array.isArray(errors) || ['item is not a list'] },
+      default: wrapJoker({ root: { reason: "string" } }),
+    });
+
+    app.use(structuredLogger(entry => logs.push(entry)));
+    app.get('/missing', ...routeHandler(errorSchemas, async (ctx) => fail(ctx, 'missing', 404, { id: 5, secret: 'hidden' })));
+    app.get('/wrong', ...routeHandler(errorSchemas, async (ctx) => fail(ctx, 'wrong', 404, { id: 'five' })));
+    app.get('/thrown', ...routeHandler(errorSchemas, body(async () => {
+      throw new HttpError('conflict', 409, { details: { reason: 'taken', extra: true } });
+    })));
+    app.get('/plain', ...routeHandler(errorSchemas, async (ctx) => fail(ctx, 'plain', 400)));
+    app.post('/items', ...routeHandler(
+      errorSchemas,
+      validate('json', wrapJoker({ root: { name: "string" } })),
+      async (ctx) => success(ctx, 'created'),
+    ));
+    app.get('/async', ...routeHandler(
+      validate('error', { validate: async () => true, mask: async ({ any }) => ({ any }) }),
+      async (ctx) => fail(ctx, 'async', 400, { any: 'thing', other: 'hidden' }),
+    ));
+    app.get('/async-standard', ...routeHandler(
+      validate('error', {
+        '~standard': { version: 1, vendor: 'test', validate: async () => ({ issues: [{ message: 'never valid' }] }) }
+      }),
+      async (ctx) => fail(ctx, 'async', 400, { any: 'thing' }),
+    ));
+
+    let response = await app.request('/missing', {}, {});
+    await $check`failure data is masked by the schema for the status`
+      .value(await response.json())
+      .eq($.status, 404)
+      .eq($.data.id, 5)
+      .eq($.data.secret, undefined);
+
+    response = await app.request('/wrong', {}, {});
+    await $check`failure data that does not match its schema is dropped`
+      .value(await response.json())
+      .eq($.status, 404)
+      .eq($.message, 'wrong')
+      .eq($.data, undefined);
+
+    await $check`invalid failure data is logged`
+      .value(logs.find(entry => entry.message === 'error data for status 404 failed schema validation'))
+      .eq($.level, 'error')
+      .eq($.errors[0], "item.id is not an integer (got 'five')");
+
+    response = await app.request('/thrown', {}, {});
+    await $check`errors caught by body() use the default schema`
+      .value(await response.json())
+      .eq($.status, 409)
+      .eq($.data.reason, 'taken')
+      .eq($.data.extra, undefined);
+
+    response = await app.request('/plain', {}, {});
+    await $check`failures without data are not validated`
+      .value(await response.json())
+      .eq($.status, 400)
+      .eq($.data, undefined);
+
+    response = await app.request('/items', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}'
+    }, {});
+    await $check`input validation failures are validated against their schema`
+      .value(await response.json())
+      .eq($.status, 422)
+      .isArray($.data);
+
+    response = await app.request('/async', {}, {});
+    await $check`asynchronous error schemas are waited on`
+      .value(await response.json())
+      .eq($.status, 400)
+      .eq($.data.any, 'thing')
+      .eq($.data.other, undefined);
+
+    response = await app.request('/async-standard', {}, {});
+    await $check`asynchronous Standard Schema errors drop the data`
+      .value(await response.json())
+      .eq($.status, 400)
+      .eq($.data, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Problem Details": async () => {
+    const ctx = mockCtx();
+
+    // Manually run the middleware to turn on problem details for the context.
+    await problemDetails()(ctx, async () => {});
+
+    await $check`fail() generates a problem details document when enabled`
+      .value(fail(ctx, "Item is missing", 404))
+      .eq($.type, 'about:blank')
+      .eq($.title, 'Not Found')
+      .eq($.status, 404)
+      .eq($.detail, 'Item is missing')
+      .eq($.success, undefined)
+      .eq($.message, undefined)
+      .eq($._headers['Content-Type'], 'application/problem+json')
+      .eq($._httpStatus, 404);
+
+    const handler = body(async (c) => {
+      throw new HttpError("Out of credit", 403, {
+        type: 'https://example.com/probs/out-of-credit',
+        extensions: { balance: 30 }
+      });
+    });
+
+    await $check`body() carries the type and extensions of an HttpError`
+      .value(handler(ctx))
+      .eq($.type, 'https://example.com/probs/out-of-credit')
+      .eq($.title, undefined)
+      .eq($.status, 403)
+      .eq($.detail, 'Out of credit')
+      .eq($.balance, 30);
+
+    const schemaHandler = body(async (c) => {
+      throw new SchemaError("Bad data", 422, [{ message: "bad", value: "1" }]);
+    });
+
+    await $check`body() renders schema errors as the errors member`
+      .value(schemaHandler(ctx))
+      .eq($.status, 422)
+      .isArray($.errors)
+      .eq($.errors[0], "bad (got '1')")
+      .eq($.data, undefined);
+
+    // Turning the option back off should restore the standard envelope.
+    await problemDetails(false)(ctx, async () => {});
+
+    await $check`fail() uses the standard envelope when disabled`
+      .value(fail(ctx, "Item is missing", 404))
+      .eq($.success, false)
+      .eq($.message, 'Item is missing')
+      .eq($.type, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Custom Responders": async () => {
+    const ctx = mockCtx();
+
+    // A responder with an envelope that differs from the standard one.
+    const responder = createResponder({
+      successShape: ({ status, message, data }) => ({ ok: true, data, meta: { status, message } }),
+      failShape: ({ status, message, data }) => ({ ok: false, error: { code: status, message }, meta: { data } }),
+    });
+
+    await $check`success() uses the custom success shape`
+      .value(responder.success(ctx, "Found it", { id: 1 }))
+      .eq($.ok, true)
+      .eq($.data.id, 1)
+      .eq($.meta.status, 200)
+      .eq($.meta.message, "Found it")
+      .eq($.success, undefined)
+      .eq($._httpStatus, 200);
+
+    await $check`fail() uses the custom fail shape`
+      .value(responder.fail(ctx, "Missing", 404))
+      .eq($.ok, false)
+      .eq($.error.code, 404)
+      .eq($.error.message, "Missing")
+      .eq($._httpStatus, 404);
+
+    // Result validation should apply to the custom shape.
+    await responder.validate('result', wrapJoker({
+      root: {
+        ok: "bool",
+        data: { id: "number" },
+        meta: { status: "number", message: "string" }
+      }
+    }))(ctx, async () => {});
+
+    await $check`success() validates and masks the custom shape`
+      .value(responder.success(ctx, "Found it", { id: 1, secret: "masked" }))
+      .eq($.ok, true)
+      .eq($.data.id, 1)
+      .eq($.data.secret, undefined);
+
+    const handler = responder.body(async (c) => {
+      return responder.success(c, "Invalid", { id: "not-a-number" });
+    });
+
+    await $check`body() reports errors using the custom fail shape`
+      .value(handler(ctx))
+      .eq($.ok, false)
+      .eq($.error.code, 500)
+      .isArray($.meta.data)
+      .eq($.meta.data[0], "item.data.id is not a number (got 'not-a-number')");
+
+    const [wrapped] = responder.routeHandler(async (c) => { throw new Error("oops"); });
+
+    await $check`routeHandler() wraps handlers with the responder's body()`
+      .value(wrapped(ctx))
+      .eq($.ok, false)
+      .eq($.error.message, "oops");
+  },
+
+
+  /****************************************************************************/
+
+
   "Verified Responses": async () => {
     const ctx = mockCtx();
 
@@ -213,6 +1563,38 @@ export default Collection`Response Handlers`({
     await $check`SchemaError contains validation details`
       .value(error.result[0])
       .eq($.message, "item.data.id is not a number");
+
+
+    // A Standard Schema validator for the result uses its output as the body.
+    const standardCtx = mockCtx();
+    await validate('result', {
+      '~standard': {
+        version: 1,
+        vendor: 'test',
+        validate: (value) => (typeof value.data?.id === 'number')
+          ? { value: { ...value, data: { id: value.data.id } } }
+          : { issues: [{ message: 'Expected number', path: ['data', 'id'] }] }
+      }
+    })(standardCtx, async () => {});
+
+    await $check`success() uses the output of a Standard Schema result validator`
+      .value(await success(standardCtx, "User Found", { id: 100, password: "SECRET" }))
+      .eq($.success, true)
+      .eq($.data.id, 100)
+      .eq($.data.password, undefined);
+
+    error = null;
+    try {
+      await success(standardCtx, "Invalid User", { id: "not-a-number" });
+    } catch (exception) {
+      error = exception;
+    }
+
+    await $check`success() maps Standard Schema issues into the SchemaError`
+      .value(error)
+      .instanceof($, SchemaError)
+      .eq($.result[0].path, "item.data.id")
+      .eq($.result[0].value, "not-a-number");
   },
 
 
@@ -0,0 +1,254 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+import { Hono } from "hono";
+import { success, fail, routeHandler } from '../lib/handlers.js';
+import { idempotency, memoryStore, kvStore, durableObjectStore, IdempotencyObject } from '../lib/idempotency.js';
+
+
+/******************************************************************************/
+
+
+/* Create an application with idempotent routes that count how many times they
+ * actually run, along with a helper for making requests to it. */
+const idempotentApp = (options) => {
+  const app = new Hono();
+  const calls = { create: 0, broken: 0 };
+  let release;
+
+  app.use('*', async (ctx, next) => {
+    const subject = ctx.req.header('X-Subject');
+    if (subject !== undefined) {
+      ctx.set('principal', { subject });
+    }
+    await next();
+  });
+  app.use('*', idempotency(options));
+  app.post('/items', ...routeHandler(async (ctx) => success(ctx, 'created', { id: ++calls.create })));
+  app.post('/invalid', ...routeHandler(async (ctx) => fail(ctx, 'nope', 400)));
+  app.post('/broken', ...routeHandler(async (ctx) => fail(ctx, `broken ${++calls.broken}`, 503)));
+  app.post('/slow', ...routeHandler(async (ctx) => {
+    await new Promise(resolve => release = resolve);
+    return success(ctx, 'done');
+  }));
+
+  const request = (path, key, body='{"name":"one"}', method='POST', headers={}) => app.request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(key !== undefined ? { 'Idempotency-Key': key } : {}), ...headers },
+    body,
+  }, {});
+
+  return { request, calls, release: () => release() };
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Idempotency`({
+  "Replayed Responses": async () => {
+    const { request, calls } = idempotentApp();
+
+    let response = await request('/items', 'key-1');
+    await $check`the first request runs the route`
+      .value(await response.json())
+      .eq($.data.id, 1);
+
+    response = await request('/items', 'key-1');
+    await $check`repeated requests replay the stored response`
+      .value(await response.json())
+      .eq($.data.id, 1);
+
+    await $check`replayed responses are marked and keep their headers`
+      .value({ replayed: response.headers.get('Idempotent-Replayed'), type: response.headers.get('Content-Type') })
+      .eq($.replayed, 'true')
+      .eq($.type, 'application/json');
+
+    await $check`the route only ran once`
+      .value(calls.create)
+      .eq($, 1);
+
+    await request('/items');
+    await request('/items');
+    await $check`requests without a key are not affected`
+      .value(calls.create)
+      .eq($, 3);
+
+    response = await request('/items', 'key-1', '{"name":"two"}');
+    await $check`reusing a key with a different body fails with a 422 envelope`
+      .value(await response.json())
+      .eq($.status, 422)
+      .eq($.code, 'IDEMPOTENCY_KEY_REUSED');
+
+    await $check`reusing a key for a different route fails`
+      .value((await request('/invalid', 'key-1')).status)
+      .eq($, 422);
+
+    await request('/invalid', 'key-2');
+    await $check`failures from fail() are stored and replayed`
+      .value((await request('/invalid', 'key-2')).headers.get('Idempotent-Replayed'))
+      .eq($, 'true');
+
+    await $check`reusing a key with a different query string fails`
+      .value((await request('/items?draft=true', 'key-1')).status)
+      .eq($, 422);
+
+    await request('/broken', 'key-3');
+    await $check`server errors are not stored, so the request can be retried`
+      .value((await (await request('/broken', 'key-3')).json()).message)
+      .eq($, 'broken 2');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Caller Scopes": async () => {
+    const { request, calls } = idempotentApp();
+    const alice = { 'X-Subject': 'alice' };
+    const bob = { 'X-Subject': 'bob' };
+
+    await request('/items', 'shared-key', undefined, 'POST', alice);
+    let response = await request('/items', 'shared-key', undefined, 'POST', bob);
+    await $check`the same key from a different caller is a different request`
+      .value({ replayed: response.headers.get('Idempotent-Replayed'), id: (await response.json()).data.id })
+      .eq($.replayed, null)
+      .eq($.id, 2);
+
+    response = await request('/items', 'shared-key', undefined, 'POST', alice);
+    await $check`callers are replayed their own responses`
+      .value(await response.json())
+      .eq($.data.id, 1);
+
+    await request('/items', 'alice:shared-key');
+    await $check`keys that contain the separator don't reach into another scope`
+      .value(calls.create)
+      .eq($, 3);
+
+    const scoped = idempotentApp({ scope: (ctx) => ctx.req.header('X-Tenant') });
+    await scoped.request('/items', 'tenant-key', undefined, 'POST', { 'X-Tenant': 'one' });
+    await scoped.request('/items', 'tenant-key', undefined, 'POST', { 'X-Tenant': 'two' });
+    await $check`the scope of a caller can be given`
+      .value(scoped.calls.create)
+      .eq($, 2);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Concurrent Requests": async () => {
+    const { request, release } = idempotentApp();
+
+    const first = request('/slow', 'slow-key');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const response = await request('/slow', 'slow-key');
+    await $check`duplicates of a request that is in progress fail with a 409`
+      .value(await response.json())
+      .eq($.status, 409)
+      .eq($.code, 'IDEMPOTENCY_KEY_IN_USE');
+
+    await $check`the conflict says when to retry`
+      .value(response.headers.get('Retry-After'))
+      .eq($, '1');
+
+    release();
+    await $check`the first request completes normally`
+      .value((await first).status)
+      .eq($, 200);
+
+    // A request whose isolate dies never finishes, leaving its pending record
+    // behind; retries can run once the lock on the key expires.
+    const abandoned = idempotentApp({ lockTimeout: 0.05 });
+    abandoned.request('/slow', 'abandoned-key');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    await $check`a pending record blocks retries while it is locked`
+      .value(await (await abandoned.request('/slow', 'abandoned-key')).json())
+      .eq($.status, 409);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const retry = abandoned.request('/slow', 'abandoned-key');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    abandoned.release();
+
+    await $check`a stale pending record can be retried once the lock expires`
+      .value((await retry).status)
+      .eq($, 200);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await $check`completed responses are kept for the ttl, not the lock timeout`
+      .value((await abandoned.request('/slow', 'abandoned-key')).headers.get('Idempotent-Replayed'))
+      .eq($, 'true');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Options and Stores": async () => {
+    const required = idempotentApp({ required: true });
+    await $check`keys can be required`
+      .value(await (await required.request('/items')).json())
+      .eq($.status, 400)
+      .eq($.code, 'IDEMPOTENCY_KEY_REQUIRED');
+
+    await $check`methods that are not listed are not affected`
+      .value((await required.request('/items', undefined, undefined, 'PUT')).status)
+      .eq($, 404);
+
+    const values = new Map();
+    const kv = idempotentApp({
+      store: kvStore({
+        get: async (key) => values.has(key) ? JSON.parse(values.get(key)) : null,
+        put: async (key, value) => values.set(key, value),
+        delete: async (key) => values.delete(key),
+      }, { prefix: 'kv:' })
+    });
+
+    await kv.request('/items', 'kv-key');
+    await $check`KV stores replay stored responses`
+      .value((await kv.request('/items', 'kv-key')).headers.get('Idempotent-Replayed'))
+      .eq($, 'true');
+
+    await $check`KV stores use the prefix`
+      .value(values.has('kv:idempotency:kv-key'))
+      .eq($, true);
+
+    const objects = new Map();
+    const namespace = {
+      idFromName: (name) => name,
+      get: (id) => {
+        if (objects.has(id) === false) {
+          const storage = new Map();
+          objects.set(id, new IdempotencyObject({ storage: {
+            get: async (key) => storage.get(key),
+            put: async (key, value) => storage.set(key, value),
+            delete: async (key) => storage.delete(key),
+          }}));
+        }
+        const object = objects.get(id);
+        return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+      },
+    };
+
+    const durable = idempotentApp({ store: (ctx) => durableObjectStore(namespace) });
+    await durable.request('/items', 'do-key');
+    await $check`Durable Object stores replay stored responses`
+      .value(await (await durable.request('/items', 'do-key')).json())
+      .eq($.data.id, 1);
+
+    await $check`Durable Object stores detect reused keys`
+      .value((await durable.request('/items', 'do-key', '{}')).status)
+      .eq($, 422);
+
+    const memory = memoryStore();
+    await memory.begin('key', { fingerprint: 'a', state: 'pending' }, 60);
+    await memory.release('key');
+    await $check`released keys can be used again`
+      .value(await memory.begin('key', { fingerprint: 'b', state: 'pending' }, 60))
+      .eq($, undefined);
+  },
+});
+
+
+/******************************************************************************/
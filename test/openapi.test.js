@@ -0,0 +1,301 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+import { validate, validateRequest, routeHandler, success, registerErrors } from '../lib/handlers.js';
+import { generateOpenAPI, jokerToJSONSchema } from '../lib/openapi.js';
+
+import * as joker from "@axel669/joker";
+
+
+/******************************************************************************/
+
+
+/* A helper to generate a schema object that mimics what the rollup plugin
+ * produces, with the addition of the JSON Schema for the definition so that
+ * the OpenAPI generator can use it. */
+function wrapJoker(schemaDef) {
+  return {
+    validate: joker.validator(schemaDef),
+    mask: joker.mask(schemaDef),
+    jsonSchema: jokerToJSONSchema(schemaDef),
+  };
+}
+
+
+/******************************************************************************/
+
+
+export const ParamSchema = wrapJoker({
+  root: {
+    id: "int",
+  }
+});
+
+export const QuerySchema = wrapJoker({
+  root: {
+    search: { "joker.type": "string", min: 3 },
+    "?page": "string",
+  }
+});
+
+export const BodySchema = wrapJoker({
+  root: {
+    name: "string",
+    "tags[]": "string",
+  }
+});
+
+export const ResultSchema = wrapJoker({
+  root: {
+    success: "bool",
+    status: "number",
+    message: "string",
+    data: {
+      id: "int",
+    }
+  }
+});
+
+
+/******************************************************************************/
+
+
+/* This collection verifies that the OpenAPI generator can walk a set of route
+ * handlers and produce a document that describes them, and that the Joker
+ * schema conversion produces the expected JSON Schema. */
+export default Collection`OpenAPI Generation`({
+  "Joker Conversion": async () => {
+    const schema = jokerToJSONSchema({
+      root: {
+        id: "int",
+        "?name": { "joker.type": "string", max: 20 },
+        "items[]": { count: "number" },
+        "map{}": "bool",
+      }
+    });
+
+    await $check`objects convert with required fields`
+      .value(schema)
+      .eq($.type, 'object')
+      .eq($.properties.id.type, 'integer')
+      .eq($.required.length, 3)
+      .eq($.required[0], 'id')
+      .eq($.required[1], 'items')
+      .eq($.required[2], 'map');
+
+    await $check`optional fields are nullable and parameters are converted`
+      .value(schema.properties.name)
+      .eq($.type[0], 'string')
+      .eq($.type[1], 'null')
+      .eq($.maxLength, 20);
+
+    await $check`array and dictionary keys convert`
+      .value(schema.properties)
+      .eq($.items.type, 'array')
+      .eq($.items.items.properties.count.type, 'number')
+      .eq($.map.type, 'object')
+      .eq($.map.additionalProperties.type, 'boolean');
+  },
+
+
+  /****************************************************************************/
+
+
+  "Document Generation": async () => {
+    const route = routeHandler(
+      { method: 'POST', path: '/items/:id', summary: 'Update an item', tags: ['items'] },
+      validate('param', ParamSchema),
+      validate('query', QuerySchema),
+      validate('json', BodySchema),
+      validate('result', { 200: ResultSchema }),
+      async (ctx) => success(ctx, 'updated', { id: 1 }),
+    );
+
+    await $check`route metadata is not part of the handler chain`
+      .value(route)
+      .eq($.length, 5);
+
+    const doc = generateOpenAPI([route], { info: { title: 'Test', version: '2.0.0' } });
+
+    await $check`document has the expected header`
+      .value(doc)
+      .eq($.openapi, '3.1.0')
+      .eq($.info.title, 'Test')
+      .isObject($.paths['/items/{id}'].post);
+
+    const operation = doc.paths['/items/{id}'].post;
+
+    await $check`operation carries the route metadata`
+      .value(operation)
+      .eq($.summary, 'Update an item')
+      .eq($.tags[0], 'items')
+      .eq($.method, undefined)
+      .eq($.path, undefined);
+
+    const hooked = routeHandler(
+      { method: 'GET', path: '/hooked/:id', summary: 'Hooked', onError: () => {}, filter: () => true },
+      async (ctx) => success(ctx, 'ok'),
+    );
+    const hookedOperation = generateOpenAPI([hooked]).paths['/hooked/{id}'].get;
+
+    await $check`the error hook of a route is not part of the operation`
+      .value(hookedOperation)
+      .eq($.summary, 'Hooked')
+      .eq($.onError, undefined)
+      .eq($.filter, undefined);
+
+    await $check`parameters are generated from input validators`
+      .value(operation.parameters)
+      .eq($.length, 3)
+      .eq($[0].name, 'id')
+      .eq($[0].in, 'path')
+      .eq($[0].required, true)
+      .eq($[1].name, 'search')
+      .eq($[1].in, 'query')
+      .eq($[1].required, true)
+      .eq($[1].schema.minLength, 3)
+      .eq($[2].name, 'page')
+      .eq($[2].required, false);
+
+    await $check`request body is generated from the json validator`
+      .value(operation.requestBody.content['application/json'].schema)
+      .eq($.properties.name.type, 'string')
+      .eq($.properties.tags.type, 'array');
+
+    await $check`responses are generated from the result status map`
+      .value(operation.responses)
+      .eq($['200'].content['application/json'].schema.properties.data.properties.id.type, 'integer')
+      .eq($['422'].content['application/json'].schema.properties.success.const, false)
+      .eq($.default.content['application/json'].schema.properties.success.const, false);
+
+    const combined = generateOpenAPI([routeHandler(
+      { method: 'post', path: '/items/:id' },
+      validateRequest({ param: ParamSchema, query: QuerySchema, json: BodySchema }),
+      async (ctx) => success(ctx, 'updated'),
+    )]).paths['/items/{id}'].post;
+
+    await $check`each target of a combined validator is documented`
+      .value(combined)
+      .eq($.parameters.length, 3)
+      .eq($.requestBody.content['application/json'].schema.properties.name.type, 'string')
+      .isObject($.responses['422']);
+
+    const upload = generateOpenAPI([routeHandler(
+      { method: 'post', path: '/upload' },
+      validate('form', wrapJoker({ root: { title: "string" } }), {
+        files: { avatar: { minCount: 1, types: ['image/png'] }, photos: { maxCount: 3 } }
+      }),
+      async (ctx) => success(ctx, 'uploaded'),
+    )]).paths['/upload'].post.requestBody.content;
+
+    await $check`file uploads are documented as multipart binary fields`
+      .value(upload['multipart/form-data'].schema)
+      .eq($.properties.title.type, 'string')
+      .eq($.properties.avatar.format, 'binary')
+      .eq($.properties.avatar.contentMediaType, 'image/png')
+      .eq($.properties.photos.items.format, 'binary')
+      .eq($.properties.photos.maxItems, 3)
+      .eq($.required[1], 'avatar');
+
+    await $check`file uploads can't be URL encoded`
+      .value(upload['application/x-www-form-urlencoded'])
+      .eq($, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Schema Hooks": async () => {
+    const route = routeHandler(
+      validate('json', { validate: () => true }),
+      async (ctx) => success(ctx, 'ok'),
+    );
+
+    const doc = generateOpenAPI([{ method: 'put', path: '/hook', handler: route }], {
+      toJSONSchema: (schema, info) => info.dataType === 'json' ? { type: 'string' } : undefined
+    });
+
+    await $check`routes can be given as objects with the handler inside`
+      .value(doc.paths['/hook'].put)
+      .isObject($);
+
+    await $check`the toJSONSchema hook is used to convert schemas`
+      .value(doc.paths['/hook'].put.requestBody.content['application/json'].schema)
+      .eq($.type, 'string');
+
+    await $check`routes without a result validator get the success envelope`
+      .value(doc.paths['/hook'].put.responses['200'].content['application/json'].schema)
+      .eq($.properties.success.const, true);
+
+    const standard = {
+      '~standard': {
+        version: 1,
+        vendor: 'test',
+        validate: (value) => ({ value }),
+        jsonSchema: {
+          input: () => ({ type: 'string' }),
+          output: () => ({ type: 'number' }),
+        }
+      }
+    };
+    const standardDoc = generateOpenAPI([{
+      method: 'post', path: '/standard',
+      handler: routeHandler(validate('json', standard), validate('result', standard), async (ctx) => success(ctx, 'ok'))
+    }]);
+
+    await $check`Standard Schema inputs are described by their input JSON Schema`
+      .value(standardDoc.paths['/standard'].post.requestBody.content['application/json'].schema)
+      .eq($.type, 'string');
+
+    await $check`Standard Schema results are described by their output JSON Schema`
+      .value(standardDoc.paths['/standard'].post.responses.default.content['application/json'].schema)
+      .eq($.type, 'number');
+
+    registerErrors({
+      WIDGET_MISSING: { status: 404, message: 'The widget does not exist' },
+      WIDGET_GONE: { status: 404, message: 'The widget was deleted', description: 'Deleted widgets stay gone' },
+    });
+
+    const errorDoc = generateOpenAPI([
+      { method: 'get', path: '/widget', errors: ['WIDGET_MISSING', 'WIDGET_GONE'], handler: route }
+    ]);
+
+    await $check`registered errors used by a route are documented`
+      .value(errorDoc.paths['/widget'].get.responses['404'])
+      .eq($.description, 'WIDGET_MISSING: The widget does not exist\nWIDGET_GONE: Deleted widgets stay gone')
+      .eq($.content['application/json'].schema.properties.code.enum.length, 2);
+
+    await $check`registered errors are listed in the document`
+      .value(errorDoc['x-error-codes'].find(entry => entry.code === 'WIDGET_GONE'))
+      .eq($.status, 404);
+
+    const errorSchemaDoc = generateOpenAPI([{
+      method: 'get', path: '/gadget', errors: ['WIDGET_MISSING'],
+      handler: routeHandler(validate('error', {
+        404: wrapJoker({ root: { id: "int" } }),
+        409: wrapJoker({ root: { reason: "string" } }),
+      }), async (ctx) => success(ctx, 'ok'))
+    }]).paths['/gadget'].get.responses;
+
+    await $check`error schemas describe the data of registered errors`
+      .value(errorSchemaDoc['404'].content['application/json'].schema.properties.data)
+      .eq($.properties.id.type, 'integer');
+
+    await $check`error schemas add responses for their own statuses`
+      .value(errorSchemaDoc['409'].content['application/json'].schema.properties.data)
+      .eq($.properties.reason.type, 'string');
+
+    let error = null;
+    try {
+      generateOpenAPI([route]);
+    } catch (exception) {
+      error = exception;
+    }
+
+    await $check`routes without a method and path are an error`
+      .value(error)
+      .instanceof($, Error);
+  },
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,227 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+import { Hono } from "hono";
+import { success, routeHandler, createResponder } from '../lib/handlers.js';
+import {
+  rateLimit, memoryStore, kvStore, durableObjectStore, RateLimitObject,
+  applyPolicy
+} from '../lib/ratelimit.js';
+
+
+/******************************************************************************/
+
+
+/* Create an application with a single rate limited route, along with a helper
+ * for making requests to it from a given IP address. */
+const limitedApp = (options) => {
+  const app = new Hono();
+  app.get('/items', ...routeHandler(rateLimit(options), async (ctx) => success(ctx, 'items')));
+
+  const request = (ip='10.0.0.1', headers={}) => app.request('/items', {
+    headers: { 'CF-Connecting-IP': ip, ...headers }
+  }, {});
+
+  return { app, request };
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Rate Limiting`({
+  "Algorithms": async () => {
+    const window = { algorithm: 'fixed-window', limit: 2, window: 60 };
+    const start = 120000;
+
+    let result = applyPolicy(undefined, window, start);
+    result = applyPolicy(result.state, window, start + 1000);
+    await $check`fixed windows allow requests up to the limit`
+      .value(result)
+      .eq($.allowed, true)
+      .eq($.remaining, 0)
+      .eq($.reset, 59);
+
+    result = applyPolicy(result.state, window, start + 2000);
+    await $check`fixed windows deny requests past the limit until the window ends`
+      .value(result)
+      .eq($.allowed, false)
+      .eq($.retryAfter, 58);
+
+    await $check`fixed windows start over in the next window`
+      .value(applyPolicy(result.state, window, start + 60000))
+      .eq($.allowed, true)
+      .eq($.remaining, 1);
+
+    const bucket = { algorithm: 'token-bucket', limit: 2, window: 10 };
+    result = applyPolicy(undefined, bucket, start);
+    result = applyPolicy(result.state, bucket, start);
+    result = applyPolicy(result.state, bucket, start);
+    await $check`token buckets deny requests once the bucket is empty`
+      .value(result)
+      .eq($.allowed, false)
+      .eq($.retryAfter, 5);
+
+    await $check`token buckets refill over time`
+      .value(applyPolicy(result.state, bucket, start + 5000))
+      .eq($.allowed, true)
+      .eq($.remaining, 0);
+
+    let error = null;
+    try {
+      applyPolicy(undefined, { algorithm: 'leaky-bucket', limit: 1, window: 1 });
+    } catch (exception) {
+      error = exception;
+    }
+
+    await $check`unknown algorithms are an error`
+      .value(error)
+      .instanceof($, Error);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Middleware": async () => {
+    const { request } = limitedApp({ limit: 2, window: 60 });
+
+    let response = await request();
+    await $check`allowed responses carry the rate limit headers`
+      .value({
+        policy: response.headers.get('RateLimit-Policy'),
+        limit: response.headers.get('RateLimit-Limit'),
+        remaining: response.headers.get('RateLimit-Remaining'),
+      })
+      .eq($.policy, '2;w=60')
+      .eq($.limit, '2')
+      .eq($.remaining, '1');
+
+    await request();
+    response = await request();
+    await $check`requests past the limit fail with a 429 envelope`
+      .value(await response.json())
+      .eq($.success, false)
+      .eq($.status, 429)
+      .eq($.code, 'TOO_MANY_REQUESTS');
+
+    await $check`the failure says when to retry`
+      .value({ retry: response.headers.get('Retry-After'), remaining: response.headers.get('RateLimit-Remaining') })
+      .isString($.retry)
+      .eq($.remaining, '0');
+
+    await $check`each IP address has its own limit`
+      .value((await request('10.0.0.2')).status)
+      .eq($, 200);
+
+    const keyed = limitedApp({ limit: 1, key: 'apiKey' });
+    await keyed.request('10.0.0.1', { 'X-API-Key': 'one' });
+    await $check`API keys are limited apart from the IP address they come from`
+      .value((await keyed.request('10.0.0.1', { 'X-API-Key': 'two' })).status)
+      .eq($, 200);
+
+    await $check`the same API key is limited across IP addresses`
+      .value((await keyed.request('10.0.0.2', { 'X-API-Key': 'one' })).status)
+      .eq($, 429);
+
+    const keys = [];
+    const recorded = memoryStore();
+    const hashed = limitedApp({ key: 'apiKey', store: { hit: (key, policy) => (keys.push(key), recorded.hit(key, policy)) } });
+    await hashed.request('10.0.0.1', { 'X-API-Key': 'sk_live_' + 'x'.repeat(1024) });
+    await $check`API keys are hashed rather than stored as-is`
+      .value({ length: keys[0].length, secret: keys[0].includes('sk_live') })
+      .eq($.length, 'ratelimit:key:'.length + 64)
+      .eq($.secret, false);
+
+    const custom = limitedApp({ limit: 1, key: (ctx) => ctx.req.header('X-Tenant') });
+    await custom.request('10.0.0.1', { 'X-Tenant': 'acme' });
+    await $check`custom keys are used to group requests`
+      .value((await custom.request('10.0.0.2', { 'X-Tenant': 'acme' })).status)
+      .eq($, 429);
+
+    await custom.request();
+    await $check`requests without a custom key are not limited`
+      .value((await custom.request()).status)
+      .eq($, 200);
+
+    const responder = createResponder({ failShape: ({ status, message }) => ({ error: message, status }) });
+    const shaped = limitedApp({ limit: 0, responder, message: 'slow down' });
+    await $check`failures use the fail() of the responder that is given`
+      .value(await (await shaped.request()).json())
+      .eq($.error, 'slow down')
+      .eq($.status, 429);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Stores": async () => {
+    const policy = { algorithm: 'fixed-window', limit: 1, window: 60 };
+
+    const values = new Map();
+    const options = new Map();
+    const kv = kvStore({
+      get: async (key, type) => type === 'json' && values.has(key) ? JSON.parse(values.get(key)) : null,
+      put: async (key, value, putOptions) => { values.set(key, value); options.set(key, putOptions); },
+    }, { prefix: 'rl:' });
+
+    await kv.hit('ip:1', policy);
+    await $check`KV state is stored under the prefix for at least a minute`
+      .value(options.get('rl:ip:1'))
+      .eq($.expirationTtl, 60);
+
+    await $check`KV state is used for later requests`
+      .value(await kv.hit('ip:1', policy))
+      .eq($.allowed, false);
+
+    const storage = new Map();
+    const objects = new Map();
+    const namespace = {
+      idFromName: (name) => `id:${name}`,
+      get: (id) => {
+        if (objects.has(id) === false) {
+          objects.set(id, new RateLimitObject({ storage: { get: async (key) => storage.get(key), put: async (key, value) => storage.set(key, value) } }));
+        }
+        const object = objects.get(id);
+        return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+      },
+    };
+
+    const durable = durableObjectStore(namespace);
+    await durable.hit('ip:1', policy);
+    await $check`Durable Object state is kept by the object for the key`
+      .value(await durable.hit('ip:1', policy))
+      .eq($.allowed, false)
+      .eq($.limit, 1);
+
+    await $check`each key has its own Durable Object`
+      .value(objects.size)
+      .eq($, 1);
+
+    const shared = memoryStore();
+    const { request } = limitedApp({ limit: 1, store: (ctx) => shared });
+    await request();
+    await $check`stores can be chosen for each request`
+      .value(await shared.hit('ratelimit:ip:10.0.0.1', policy))
+      .eq($.allowed, false);
+
+    const memory = memoryStore();
+    await memory.hit('ip:1', policy);
+    await $check`memory stores keep state between requests`
+      .value(await memory.hit('ip:1', policy))
+      .eq($.allowed, false);
+
+    const now = Date.now;
+    try {
+      Date.now = () => now() + 120 * 1000;
+      await $check`memory stores start over once the state expires`
+        .value(await memory.hit('ip:1', policy))
+        .eq($.allowed, true);
+    }
+    finally {
+      Date.now = now;
+    }
+  },
+});
+
+
+/******************************************************************************/
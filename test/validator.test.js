@@ -1,6 +1,7 @@
 import { Collection, $check, $ } from "@axel669/aegis";
 import { schemaTest } from "../aegis/index.js";
-import { body } from '../lib/handlers.js';
+import { body, validate, paginationSchema, HttpError, SchemaError } from '../lib/handlers.js';
+import { jokerToJSONSchema } from '../lib/openapi.js';
 
 import * as joker from "@axel669/joker";
 
@@ -35,6 +36,25 @@ function wrapJoker(schemaDef, includeMask = true) {
 }
 
 
+/* A minimal Standard Schema validator, as would be produced by a library such
+ * as zod or valibot; the check function is given the input and returns either
+ * the output value or an array of issues. */
+function standardSchema(check, async = false) {
+  const validate = (value) => {
+    const result = check(value);
+    return Array.isArray(result) ? { issues: result } : { value: result };
+  };
+
+  return {
+    '~standard': {
+      version: 1,
+      vendor: 'test',
+      validate: async === false ? validate : async (value) => validate(value),
+    }
+  };
+}
+
+
 /******************************************************************************/
 
 
@@ -92,6 +112,14 @@ export const NoMaskSchema = wrapJoker({
   }
 }, false);
 
+export const StandardSchema = standardSchema(value => {
+  if (typeof value.user?.age !== 'number') {
+    return [{ message: 'Expected number', path: ['user', { key: 'age' }] }];
+  }
+
+  return { age: value.user.age, adult: value.user.age >= 18 };
+});
+
 
 /******************************************************************************/
 
@@ -243,6 +271,180 @@ export default Collection`Schema Validation`({
   /****************************************************************************/
 
 
+  "Standard Schema": async ({ runScope: ctx }) => {
+    await $check`should use the output of the validator as the validated data`
+      .value(schemaTest('json', StandardSchema, { user: { age: 21, name: 'Bob' } }))
+      .isObject()
+      .eq($.age, 21)
+      .eq($.adult, true)
+      .eq($.user, undefined);
+
+    await $check`should support asynchronous validators`
+      .value(schemaTest('json', standardSchema(value => value, true), { field1: 'hello' }))
+      .isObject()
+      .eq($.field1, 'hello');
+
+    await $check`should fail if the data does not validate`
+      .value(schemaTest('json', StandardSchema, { user: { age: 'old' } }))
+      .isResponseWithStatus($, 422);
+
+    const response = await schemaTest('json', StandardSchema, { user: { age: 'old' } });
+    await $check`should map the issues into the error format`
+      .value(await response.json())
+      .isArray($.data)
+      .eq($.data[0], "item.user.age: Expected number (got 'old')");
+  },
+
+
+  /****************************************************************************/
+
+
+  "Coercion": async ({ runScope: ctx }) => {
+    const definition = {
+      root: {
+        page: "number",
+        active: "bool",
+        "tags[]": "string",
+      }
+    };
+    const CoercedSchema = { ...wrapJoker(definition), jsonSchema: jokerToJSONSchema(definition) };
+
+    await $check`should fail without coercion since the inputs are strings`
+      .value(schemaTest('query', CoercedSchema, { page: '2', active: 'true', tags: 'a' }))
+      .isResponseWithStatus($, 422);
+
+    await $check`should coerce inputs using the JSON Schema of the schema`
+      .value(schemaTest('query', CoercedSchema, { page: '2', active: 'true', tags: 'a' }, validate, { coerce: true }))
+      .isObject()
+      .eq($.page, 2)
+      .eq($.active, true)
+      .isArray($.tags)
+      .eq($.tags[0], 'a');
+
+    await $check`should coerce inputs using an explicit coercion map`
+      .value(schemaTest('param', NoMaskSchema, { field1: 'x', count: '10', flag: 'off', when: '2024-01-02', ids: ['1', '2'] }, validate, {
+        coerce: { count: 'integer', flag: 'boolean', when: 'date', ids: 'number[]' }
+      }))
+      .isObject()
+      .eq($.count, 10)
+      .eq($.flag, false)
+      .instanceof($.when, Date)
+      .eq($.ids[1], 2);
+
+    await $check`should leave values that cannot be converted for the validator`
+      .value(schemaTest('query', CoercedSchema, { page: 'two', active: 'true', tags: 'a' }, validate, { coerce: true }))
+      .isResponseWithStatus($, 422);
+
+    let error = null;
+    try {
+      validate('query', QuerySchema, { coerce: true });
+    } catch (exception) {
+      error = exception;
+    }
+
+    await $check`should require a JSON Schema to derive coercions from`
+      .value(error)
+      .instanceof($, Error);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Asynchronous Schemas": async ({ runScope: ctx }) => {
+    // A schema whose validation and mask are both asynchronous, as they would be
+    // if they needed to look something up in a binding.
+    const AsyncSchema = {
+      validate: async (value) => typeof value.field1 === 'string' ? true : [
+        { message: 'item.field1 is not a string', path: 'item.field1', value: value.field1 }
+      ],
+      mask: async ({ field1 }) => ({ field1 }),
+    };
+
+    await $check`should await an asynchronous input validator and mask`
+      .value(schemaTest('json', AsyncSchema, { field1: 'hello', field2: 'world' }))
+      .isObject()
+      .eq($.field1, 'hello')
+      .eq($.field2, undefined);
+
+    await $check`should fail if an asynchronous input validator fails`
+      .value(schemaTest('json', AsyncSchema, { field1: 12 }))
+      .isResponseWithStatus($, 422);
+
+    await $check`should await an asynchronous result validator and mask`
+      .value(schemaTest('result', AsyncSchema, { field1: 'hello', field2: 'world' }))
+      .isObject()
+      .eq($.field1, 'hello')
+      .eq($.field2, undefined);
+
+    await $check`should fail if an asynchronous result validator fails`
+      .value(schemaTest('result', AsyncSchema, { field1: 12 }))
+      .isResponseWithStatus($, 500);
+
+    await $check`should validate results against a status map`
+      .value(schemaTest('result', { 200: MaskSchema }, { field1: 'hello', field2: 'world' }))
+      .isObject()
+      .eq($.field1, 'hello')
+      .eq($.field2, undefined);
+
+    await $check`should validate results with a Standard Schema`
+      .value(schemaTest('result', standardSchema(value => ({ wrapped: value }), true), { field1: 'hello' }))
+      .isObject()
+      .eq($.wrapped.field1, 'hello');
+  },
+
+
+  /****************************************************************************/
+
+
+  "PaginationSchema": async ({ runScope: ctx }) => {
+    await $check`should apply the default limit and offset`
+      .value(schemaTest('query', paginationSchema(), {}))
+      .isObject()
+      .eq($.limit, 20)
+      .eq($.offset, 0)
+      .eq($.cursor, undefined);
+
+    await $check`should convert the limit and offset to numbers`
+      .value(schemaTest('query', paginationSchema(), { limit: '5', offset: '10', other: 'x' }))
+      .isObject()
+      .eq($.limit, 5)
+      .eq($.offset, 10)
+      .eq($.other, undefined);
+
+    await $check`should accept a cursor`
+      .value(schemaTest('query', paginationSchema({ mode: 'cursor' }), { cursor: 'abc' }))
+      .isObject()
+      .eq($.cursor, 'abc')
+      .eq($.offset, undefined);
+
+    await $check`should fail if the limit is out of bounds`
+      .value(schemaTest('query', paginationSchema({ maxLimit: 50 }), { limit: '51' }))
+      .isResponseWithStatus($, 422);
+
+    await $check`should fail if the offset is not a number`
+      .value(schemaTest('query', paginationSchema(), { offset: 'abc' }))
+      .isResponseWithStatus($, 422);
+
+    await $check`should fail if an offset is given in cursor mode`
+      .value(schemaTest('query', paginationSchema({ mode: 'cursor' }), { offset: '1' }))
+      .isResponseWithStatus($, 422);
+
+    await $check`should validate other parameters with the provided schema`
+      .value(schemaTest('query', paginationSchema({ schema: QuerySchema }), { search: 'term', limit: '2' }))
+      .isObject()
+      .eq($.search, 'term')
+      .eq($.limit, 2);
+
+    await $check`should fail if the provided schema does not validate`
+      .value(schemaTest('query', paginationSchema({ schema: QuerySchema }), { limit: '2' }))
+      .isResponseWithStatus($, 422);
+  },
+
+
+  /****************************************************************************/
+
+
   "Exception Stack Traces": async ({ runScope: ctx }) => {
     // A simple handler that always throws an error
     const faultyHandler = body(async (ctx) => {
@@ -266,6 +468,61 @@ export default Collection`Schema Validation`({
       .value(await faultyHandler(mockCtx()))
       .isObject()
       .eq($.data, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  "Exception Safe Mode": async ({ runScope: ctx }) => {
+    const faultyHandler = body(async (ctx) => {
+      throw new Error("database password is hunter2");
+    });
+    const httpHandler = body(async (ctx) => {
+      throw new HttpError("Item not found", 404);
+    });
+    const resultHandler = body(async (ctx) => {
+      throw new SchemaError("response data for status 200 failed schema validation", 500, [
+        { message: 'item.data.id is not a number', value: 'sk_live_SECRET' }
+      ]);
+    });
+
+    const mockCtx = (env = {}) => ({
+      env,
+      json: (payload) => payload,
+      status: () => {}
+    });
+
+    const safeEnv = { CF_REQUESTS_SAFE_ERRORS: 'true', CF_REQUESTS_STACKTRACE: 'true' };
+
+    await $check`should hide the message and stack of an unexpected error`
+      .value(await faultyHandler(mockCtx(safeEnv)))
+      .isObject()
+      .eq($.status, 500)
+      .eq($.message, 'Internal Server Error')
+      .eq($.data, undefined)
+      .isString($.errorId);
+
+    await $check`should hide the errors of a failed response validation`
+      .value(await resultHandler(mockCtx(safeEnv)))
+      .isObject()
+      .eq($.status, 500)
+      .eq($.message, 'Internal Server Error')
+      .eq($.data, undefined)
+      .isString($.errorId);
+
+    await $check`should not hide the message of an HttpError`
+      .value(await httpHandler(mockCtx(safeEnv)))
+      .isObject()
+      .eq($.status, 404)
+      .eq($.message, 'Item not found')
+      .eq($.errorId, undefined);
+
+    await $check`should not hide the message when safe mode is not enabled`
+      .value(await faultyHandler(mockCtx()))
+      .isObject()
+      .eq($.message, 'database password is hunter2')
+      .eq($.errorId, undefined);
   }
 });
 